@@ -153,11 +153,11 @@ class QueryCache {
     const tables = new Set();
     
     const tableKeywords = [
-      'FROM\\s+([\\w\\.]+)',
-      'JOIN\\s+([\\w\\.]+)',
-      'INTO\\s+([\\w\\.]+)',
-      'UPDATE\\s+([\\w\\.]+)',
-      'TABLE\\s+([\\w\\.]+)'
+      'FROM\\s+([\\w\\.`"\\[\\]]+)',
+      'JOIN\\s+([\\w\\.`"\\[\\]]+)',
+      'INTO\\s+([\\w\\.`"\\[\\]]+)',
+      'UPDATE\\s+([\\w\\.`"\\[\\]]+)',
+      'TABLE\\s+([\\w\\.`"\\[\\]]+)'
     ];
     
     for (const pattern of tableKeywords) {
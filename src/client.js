@@ -1,9 +1,14 @@
+const { PassThrough, pipeline } = require('stream');
+const Raw = require('./raw');
+
 class Client {
   constructor(config) {
     this.config = config;
     this.dialect = config.client || 'pg';
     this.dialectModule = this._loadDialect(this.dialect);
     this.connectionPool = null;
+    this.isTransaction = false;
+    this.scopes = new Map();
     this._initialize();
   }
 
@@ -53,13 +58,14 @@ class Client {
   /**
    * @param {string} sql
    * @param {Array} bindings
+   * @param {Object} options
    * @returns {Promise<Object>}
    */
-  async query(sql, bindings = []) {
+  async query(sql, bindings = [], options = {}) {
     const connection = await this.acquireConnection();
     
     try {
-      const result = await this.dialectModule.executeQuery(connection, sql, bindings);
+      const result = await this.dialectModule.executeQuery(connection, sql, bindings, options);
       return result;
     } finally {
       await this.releaseConnection(connection);
@@ -69,14 +75,56 @@ class Client {
   /**
    * @param {string} sql
    * @param {Array} bindings
-   * @returns {Object}
+   * @param {Object} options
+   * @returns {PassThrough}
+   */
+  stream(sql, bindings = [], options = {}) {
+    const output = new PassThrough({ objectMode: true });
+
+    this.acquireConnection().then(connection => {
+      if (output.destroyed) {
+        return this.releaseConnection(connection);
+      }
+
+      let source;
+      try {
+        source = this.dialectModule.streamQuery(connection, sql, bindings, options);
+      } catch (err) {
+        this.releaseConnection(connection);
+        throw err;
+      }
+
+      pipeline(source, output, () => {
+        this.releaseConnection(connection);
+      });
+    }).catch(err => output.destroy(err));
+
+    return output;
+  }
+
+  /**
+   * @param {string} tableName
+   * @param {string} name
+   * @param {Function} callback
+   */
+  defineScope(tableName, name, callback) {
+    if (typeof callback !== 'function') {
+      throw new Error(`Le scope '${name}' doit être une fonction`);
+    }
+
+    if (!this.scopes.has(tableName)) {
+      this.scopes.set(tableName, new Map());
+    }
+    this.scopes.get(tableName).set(name, callback);
+  }
+
+  /**
+   * @param {string} sql
+   * @param {Array} bindings
+   * @returns {Raw}
    */
   raw(sql, bindings) {
-    return {
-      sql,
-      bindings,
-      execute: async () => await this.query(sql, bindings)
-    };
+    return new Raw(sql, bindings, this);
   }
 
   /**
@@ -85,20 +133,22 @@ class Client {
    */
   async transaction(callback) {
     const connection = await this.acquireConnection();
+    let trxConnection = connection;
     
     try {
-      await this.dialectModule.beginTransaction(connection);
+      trxConnection = (await this.dialectModule.beginTransaction(connection)) || connection;
     
       const trxClient = Object.create(this);
-      trxClient.acquireConnection = async () => connection;
+      trxClient.isTransaction = true;
+      trxClient.acquireConnection = async () => trxConnection;
       trxClient.releaseConnection = async () => {};
       
       const result = await callback(trxClient);
       
-      await this.dialectModule.commitTransaction(connection);
+      await this.dialectModule.commitTransaction(trxConnection);
       return result;
     } catch (error) {
-      await this.dialectModule.rollbackTransaction(connection);
+      await this.dialectModule.rollbackTransaction(trxConnection);
       throw error;
     } finally {
       await this.releaseConnection(connection);
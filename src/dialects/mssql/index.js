@@ -1,4 +1,5 @@
 const sql = require('mssql');
+const { Readable } = require('stream');
 const queryCompiler = require('./query-compiler');
 const schemaCompiler = require('./schema-compiler');
 
@@ -52,6 +53,28 @@ async function releaseConnection(pool, connection) {
   return Promise.resolve();
 }
 
+/**
+ * @param {sql.ConnectionPool} pool
+ * @param {string} sqlQuery
+ * @param {Array} bindings
+ * @returns {Object}
+ * @private
+ */
+function prepareRequest(pool, sqlQuery, bindings = []) {
+  const request = pool.request();
+  
+  bindings.forEach((value, index) => {
+    request.input(`p${index}`, value);
+  });
+  
+  let paramIndex = 0;
+  const formattedSql = sqlQuery.replace(/\\\?|\?/g, match => {
+    return match === '?' ? `@p${paramIndex++}` : '?';
+  });
+
+  return { request, formattedSql };
+}
+
 /**
  * @param {sql.ConnectionPool} pool
  * @returns {Promise<void>}
@@ -64,36 +87,73 @@ async function destroyPool(pool) {
   return Promise.resolve();
 }
 
+/**
+ * @param {sql.ConnectionPool} pool
+ * @param {string} sqlQuery
+ * @param {Array} bindings
+ * @returns {Readable}
+ */
+function streamQuery(pool, sqlQuery, bindings = []) {
+  const { request, formattedSql } = prepareRequest(pool, sqlQuery, bindings);
+  let paused = false;
+  let done = false;
+
+  const stream = new Readable({
+    objectMode: true,
+    read() {
+      if (paused) {
+        paused = false;
+        request.resume();
+      }
+    },
+    destroy(err, callback) {
+      if (!done) {
+        request.cancel();
+      }
+      callback(err);
+    }
+  });
+
+  request.stream = true;
+  request.on('row', row => {
+    if (!stream.push(row)) {
+      paused = true;
+      request.pause();
+    }
+  });
+  request.on('error', err => stream.destroy(err));
+  request.on('done', () => {
+    done = true;
+    stream.push(null);
+  });
+  request.query(formattedSql);
+
+  return stream;
+}
+
 /**
  * @param {sql.ConnectionPool} pool
  * @param {string} sql
  * @param {Array} bindings
+ * @param {Object} options
  * @returns {Promise<Object>}
  */
-async function executeQuery(pool, sqlQuery, bindings = []) {
-  const request = pool.request();
-  
-  bindings.forEach((value, index) => {
-    request.input(`p${index}`, value);
-  });
-  
-  let paramIndex = 0;
-  const formattedSql = sqlQuery.replace(/\?/g, () => `@p${paramIndex++}`);
+async function executeQuery(pool, sqlQuery, bindings = [], options = {}) {
+  const { request, formattedSql } = prepareRequest(pool, sqlQuery, bindings);
   
   const result = await request.query(formattedSql);
   
-  const firstWord = sqlQuery.trim().split(' ')[0].toUpperCase();
+  const method = options.method || sqlQuery.trim().split(/\s+/)[0].toLowerCase();
   
-  if (firstWord === 'SELECT') {
-    return result.recordset;
-  } else if (firstWord === 'INSERT') {
-    if (result.recordset && result.recordset.length > 0) {
-      return [result.recordset[0].id];
-    }
-    return [];
-  } else {
-    return { rowCount: result.rowsAffected[0] || 0 };
+  if (options.returning) {
+    return [].concat(...(result.recordsets || []));
   }
+
+  if (method === 'select') {
+    return result.recordset || [];
+  }
+
+  return { rowCount: result.rowsAffected.reduce((total, count) => total + count, 0) };
 }
 
 /**
@@ -135,6 +195,7 @@ module.exports = {
   releaseConnection,
   destroyPool,
   executeQuery,
+  streamQuery,
   beginTransaction,
   commitTransaction,
   rollbackTransaction,
@@ -1,233 +1,492 @@
+const {
+  createContext,
+  createIdentifierWrapper,
+  quoteIdentifier,
+  compileRaw,
+  compileValue,
+  compileSetClauses,
+  compileTableReference,
+  stripTableAlias,
+  compileJoinSource,
+  compileInsertSelect,
+  compileInsertColumns,
+  collectInsertColumns,
+  compileInsertValues,
+  compileColumn,
+  compileColumns,
+  compileDistinct,
+  compileOrderBy,
+  compileWith,
+  compileUnions,
+  compileMergeAssignments,
+  compileReturning,
+  interpolateBindings,
+  quoteString,
+  compileTable,
+  compileWhere
+} = require('../../utils/compiler-helpers');
+
+const wrapSegment = createIdentifierWrapper('[', ']');
+
 /**
  * @param {string} tableName
  * @param {Object} statements
  * @param {Object} bindings
+ * @param {Object} options
  * @returns {Object}
  */
-function compileSelect(tableName, statements, bindings) {
+function compileSelect(tableName, statements, bindings, options = {}) {
   const parts = ['SELECT'];
-  const params = [];
+  const ctx = createCompilerContext(options);
+  const withClause = compileWithClause(statements, ctx);
+  const hasLimit = statements.limit !== null && statements.limit !== undefined;
+  const hasOffset = statements.offset !== null && statements.offset !== undefined;
+  const hasUnion = Boolean(statements.union && statements.union.length);
+  const useFetch = hasOffset || (hasLimit && hasUnion);
 
-  if (statements.limit !== null && statements.limit !== undefined) {
-    parts[0] = `SELECT TOP ${statements.limit}`;
+  const distinct = compileDistinct(statements, ctx);
+  if (distinct) {
+    parts.push(distinct);
+  }
+
+  if (hasLimit && !useFetch) {
+    parts.push(`TOP (${ctx.parameter(statements.limit)})`);
   }
 
   if (statements.select && statements.select.length) {
-    parts.push(statements.select.join(', '));
+    parts.push(compileColumns(statements.select, ctx));
   } else {
     parts.push('*');
   }
 
-  parts.push(`FROM ${tableName}`);
+  parts.push(`FROM ${compileTable(tableName, ctx)}${compileTableHints(statements.lock)}`);
 
   if (statements.join && statements.join.length) {
     for (const join of statements.join) {
-      const { type, table, first, operator, second } = join;
-      let joinClause = '';
-      
-      switch (type) {
-        case 'left':
-          joinClause = 'LEFT OUTER JOIN';
-          break;
-        case 'right':
-          joinClause = 'RIGHT OUTER JOIN';
-          break;
-        case 'full':
-          joinClause = 'FULL OUTER JOIN';
-          break;
-        default:
-          joinClause = 'INNER JOIN';
-      }
-      
-      parts.push(`${joinClause} ${table} ON ${first} ${operator} ${second}`);
+      parts.push(compileJoin(join, ctx));
     }
   }
 
   if (statements.where && statements.where.length) {
-    const whereClauses = [];
-    
-    for (let i = 0; i < statements.where.length; i++) {
-      const { column, operator, value, boolean } = statements.where[i];
-      
-      if (i === 0) {
-        whereClauses.push(`${column} ${operator} ?`);
-      } else {
-        whereClauses.push(`${boolean} ${column} ${operator} ?`);
-      }
-      
-      params.push(value);
-    }
-    
-    parts.push(`WHERE ${whereClauses.join(' ')}`);
+    parts.push(`WHERE ${compileWhere(statements.where, ctx)}`);
   }
 
   if (statements.groupBy && statements.groupBy.length) {
-    parts.push(`GROUP BY ${statements.groupBy.join(', ')}`);
+    parts.push(`GROUP BY ${compileColumns(statements.groupBy, ctx)}`);
   }
 
   if (statements.having && statements.having.length) {
-    const havingClauses = [];
-    
-    for (let i = 0; i < statements.having.length; i++) {
-      const { column, operator, value, boolean } = statements.having[i];
-      
-      if (i === 0) {
-        havingClauses.push(`${column} ${operator} ?`);
-      } else {
-        havingClauses.push(`${boolean} ${column} ${operator} ?`);
-      }
-      
-      params.push(value);
-    }
-    
-    parts.push(`HAVING ${havingClauses.join(' ')}`);
+    parts.push(`HAVING ${compileWhere(statements.having, ctx)}`);
+  }
+
+  if (hasUnion) {
+    parts.push(compileUnions(statements.union, ctx, false));
   }
 
   if (statements.orderBy && statements.orderBy.length) {
-    const orders = statements.orderBy.map(order => `${order.column} ${order.direction.toUpperCase()}`);
-    parts.push(`ORDER BY ${orders.join(', ')}`);
-  } else if (statements.limit !== null && statements.limit !== undefined) {
+    parts.push(`ORDER BY ${compileOrderBy(statements.orderBy, ctx)}`);
+  } else if ((hasUnion && useFetch) || (statements.distinct && (hasLimit || hasOffset))) {
+    parts.push('ORDER BY 1');
+  } else if (hasLimit || hasOffset) {
     parts.push(`ORDER BY (SELECT NULL)`);
   }
 
-  if (statements.offset !== null && statements.offset !== undefined) {
-    if (!statements.orderBy || !statements.orderBy.length) {
-      parts.push(`ORDER BY (SELECT NULL)`);
-    }
-    parts.push(`OFFSET ? ROWS`);
-    params.push(statements.offset);
+  if (useFetch) {
+    parts.push(`OFFSET ${ctx.parameter(hasOffset ? statements.offset : 0)} ROWS`);
     
-    if (statements.limit !== null && statements.limit !== undefined) {
-      parts.push(`FETCH NEXT ? ROWS ONLY`);
-      params.push(statements.limit);
-      parts[0] = 'SELECT';
+    if (hasLimit) {
+      parts.push(`FETCH NEXT ${ctx.parameter(statements.limit)} ROWS ONLY`);
     }
   }
 
   return {
-    sql: parts.join(' '),
-    bindings: params
+    sql: withClause + parts.join(' '),
+    bindings: ctx.params
   };
 }
 
 /**
  * @param {string} tableName
  * @param {Object|Array} data
+ * @param {Object} statements
+ * @param {Object} options
  * @returns {Object}
  */
-function compileInsert(tableName, data) {
+function compileInsert(tableName, data, statements = {}, options = {}) {
   const rows = Array.isArray(data) ? data : [data];
+  if (statements.insertSelect) {
+    const ctx = createCompilerContext(options);
+    const withClause = compileWithClause(statements, ctx);
+    const output = compileOutput(statements.returning, ctx, 'INSERTED');
+
+    return {
+      sql: `${withClause}INSERT INTO ${compileTable(tableName, ctx)}${compileInsertColumns(data, ctx)}${output} ${compileInsertSelect(statements, ctx)}`,
+      bindings: ctx.params
+    };
+  }
+
   if (!rows.length) {
     throw new Error('Aucune donnée à insérer');
   }
 
-  const columns = Object.keys(rows[0]);
-  const paramPlaceholders = [];
-  const params = [];
+  const columns = options.columns || collectInsertColumns(rows);
+  const ctx = createCompilerContext(options);
+  const withClause = compileWithClause(statements, ctx);
 
-  for (const row of rows) {
-    const rowParams = [];
-    for (const column of columns) {
-      rowParams.push('?');
-      params.push(row[column]);
-    }
-    paramPlaceholders.push(`(${rowParams.join(', ')})`);
+  if (statements.onConflict) {
+    const merges = groupRowsByColumns(rows, columns).map(group => {
+      return compileMerge(tableName, group.columns, compileInsertValues(group.rows, group.columns, ctx), statements, ctx);
+    });
+
+    return {
+      sql: withClause + merges.join(' '),
+      bindings: ctx.params
+    };
   }
 
-  const sql = `INSERT INTO ${tableName} (${columns.join(', ')}) 
-               OUTPUT INSERTED.id 
-               VALUES ${paramPlaceholders.join(', ')}`;
+  const paramPlaceholders = compileInsertValues(rows, columns, ctx);
+  const output = compileOutput(statements.returning, ctx, 'INSERTED');
+  const sql = `${withClause}INSERT INTO ${compileTable(tableName, ctx)} (${columns.map(column => compileColumn(column, ctx)).join(', ')})${output} VALUES ${paramPlaceholders.join(', ')}`;
 
   return {
     sql,
-    bindings: params
+    bindings: ctx.params
   };
 }
 
 /**
  * @param {string} tableName
  * @param {Object} data
- * @param {Array} whereStatements
- * @param {Array} whereBindings
+ * @param {Object} statements
+ * @param {Object} bindings
+ * @param {Object} options
  * @returns {Object}
  */
-function compileUpdate(tableName, data, whereStatements, whereBindings) {
-  if (!data || Object.keys(data).length === 0) {
+function compileUpdate(tableName, data, statements, bindings, options = {}) {
+  const ctx = createCompilerContext(options);
+  const withClause = compileWithClause(statements, ctx);
+  const setClauses = compileSetClauses(data, statements.increments, ctx);
+
+  if (!setClauses.length) {
     throw new Error('Aucune donnée à mettre à jour');
   }
 
-  const columns = Object.keys(data);
-  const params = [];
+  const hasJoins = Boolean(statements.join && statements.join.length);
+  const target = hasJoins ? compileTableReference(tableName, ctx) : compileTable(tableName, ctx);
 
-  const setClauses = columns.map(column => {
-    params.push(data[column]);
-    return `${column} = ?`;
-  });
+  let sql = `${withClause}UPDATE ${target} SET ${setClauses.join(', ')}`;
+  sql += compileOutput(statements.returning, ctx, 'INSERTED');
 
-  let sql = `UPDATE ${tableName} SET ${setClauses.join(', ')}`;
+  if (hasJoins) {
+    sql += ` FROM ${compileTable(tableName, ctx)} ${statements.join.map(join => compileJoin(join, ctx)).join(' ')}`;
+  }
 
-  if (whereStatements && whereStatements.length) {
-    const whereClauses = [];
-    
-    for (let i = 0; i < whereStatements.length; i++) {
-      const { column, operator, value, boolean } = whereStatements[i];
-      
-      if (i === 0) {
-        whereClauses.push(`${column} ${operator} ?`);
-      } else {
-        whereClauses.push(`${boolean} ${column} ${operator} ?`);
-      }
-      
-      params.push(value);
-    }
-    
-    sql += ` WHERE ${whereClauses.join(' ')}`;
+  if (statements.where && statements.where.length) {
+    sql += ` WHERE ${compileWhere(statements.where, ctx)}`;
   }
 
   return {
     sql,
-    bindings: params
+    bindings: ctx.params
   };
 }
 
 /**
  * @param {string} tableName
- * @param {Array} whereStatements
- * @param {Array} whereBindings
+ * @param {Object} statements
+ * @param {Object} bindings
+ * @param {Object} options
  * @returns {Object}
  */
-function compileDelete(tableName, whereStatements, whereBindings) {
-  const params = [];
+function compileDelete(tableName, statements, bindings, options = {}) {
+  const ctx = createCompilerContext(options);
+  const withClause = compileWithClause(statements, ctx);
 
-  let sql = `DELETE FROM ${tableName}`;
+  const hasJoins = Boolean(statements.join && statements.join.length);
 
-  if (whereStatements && whereStatements.length) {
-    const whereClauses = [];
-    
-    for (let i = 0; i < whereStatements.length; i++) {
-      const { column, operator, value, boolean } = whereStatements[i];
-      
-      if (i === 0) {
-        whereClauses.push(`${column} ${operator} ?`);
-      } else {
-        whereClauses.push(`${boolean} ${column} ${operator} ?`);
-      }
-      
-      params.push(value);
-    }
-    
-    sql += ` WHERE ${whereClauses.join(' ')}`;
+  let sql = hasJoins
+    ? `${withClause}DELETE ${compileTableReference(tableName, ctx)}`
+    : `${withClause}DELETE FROM ${compileTable(tableName, ctx)}`;
+  sql += compileOutput(statements.returning, ctx, 'DELETED');
+
+  if (hasJoins) {
+    sql += ` FROM ${compileTable(tableName, ctx)} ${statements.join.map(join => compileJoin(join, ctx)).join(' ')}`;
+  }
+
+  if (statements.where && statements.where.length) {
+    sql += ` WHERE ${compileWhere(statements.where, ctx)}`;
   }
 
   return {
     sql,
-    bindings: params
+    bindings: ctx.params
   };
 }
 
+/**
+ * @param {string} tableName
+ * @param {Array} columns
+ * @param {Array} values
+ * @param {Object} statements
+ * @param {Object} ctx
+ * @returns {string}
+ * @private
+ */
+function compileMerge(tableName, columns, values, statements, ctx) {
+  const onConflict = statements.onConflict;
+
+  if (!onConflict.columns.length) {
+    throw new Error('SQL Server exige les colonnes de conflit pour onConflict()');
+  }
+
+  const missing = onConflict.columns.filter(column => !columns.includes(column));
+  if (missing.length) {
+    throw new Error(`Chaque ligne de onConflict() doit fournir les colonnes de conflit : ${missing.join(', ')}`);
+  }
+
+  const wrapped = columns.map(column => compileColumn(column, ctx));
+  const matchOn = onConflict.columns
+    .map(column => compileColumn(column, ctx))
+    .map(column => `target.${column} = source.${column}`);
+  const parts = [
+    `MERGE INTO ${compileTable(tableName, ctx)} WITH (HOLDLOCK) AS target`,
+    `USING (VALUES ${values.join(', ')}) AS source (${wrapped.join(', ')})`,
+    `ON ${matchOn.join(' AND ')}`
+  ];
+
+  const merge = Array.isArray(onConflict.merge)
+    ? onConflict.merge.filter(column => columns.includes(column))
+    : onConflict.merge;
+
+  if (onConflict.action === 'merge' && (!Array.isArray(merge) || merge.length)) {
+    const assignments = compileMergeAssignments(merge, columns, ctx, column => `source.${column}`);
+    parts.push(`WHEN MATCHED THEN UPDATE SET ${assignments}`);
+  }
+
+  parts.push(`WHEN NOT MATCHED THEN INSERT (${wrapped.join(', ')}) VALUES (${wrapped.map(column => `source.${column}`).join(', ')})`);
+
+  return `${parts.join(' ')}${compileOutput(statements.returning, ctx, 'INSERTED')};`;
+}
+
+/**
+ * @param {Array} rows
+ * @param {Array} columns
+ * @returns {Array}
+ * @private
+ */
+function groupRowsByColumns(rows, columns) {
+  const groups = new Map();
+
+  for (const row of rows) {
+    const present = columns.filter(column => row[column] !== undefined);
+    const key = JSON.stringify(present);
+
+    if (!groups.has(key)) {
+      groups.set(key, { columns: present, rows: [] });
+    }
+    groups.get(key).rows.push(row);
+  }
+
+  return [...groups.values()];
+}
+
+/**
+ * @param {Object|null} returning
+ * @param {Object} ctx
+ * @param {string} prefix
+ * @returns {string}
+ * @private
+ */
+function compileOutput(returning, ctx, prefix) {
+  if (!returning) {
+    return '';
+  }
+
+  return ` OUTPUT ${compileReturning(returning, ctx, prefix)}`;
+}
+
+/**
+ * @param {string} sql
+ * @param {Array} bindings
+ * @returns {string}
+ */
+function interpolate(sql, bindings) {
+  return interpolateBindings(sql, bindings, escapeLiteral, /@p(\d+)/g, 0).replace(/\\\?/g, '?');
+}
+
+/**
+ * @param {Object} lock
+ * @returns {string}
+ * @private
+ */
+function compileTableHints(lock) {
+  if (!lock || !lock.mode) {
+    return '';
+  }
+
+  const hints = [lock.mode === 'share' ? 'HOLDLOCK' : 'UPDLOCK'];
+
+  if (lock.wait === 'skipLocked') {
+    hints.push('READPAST');
+  } else if (lock.wait === 'noWait') {
+    hints.push('NOWAIT');
+  }
+
+  return ` WITH (${hints.join(', ')})`;
+}
+
+/**
+ * @param {Object} search
+ * @param {Object} ctx
+ * @param {boolean} rank
+ * @returns {string}
+ * @private
+ */
+function compileFullText(search, ctx, rank) {
+  const predicate = search.mode === 'natural' ? 'FREETEXT' : 'CONTAINS';
+  const value = search.mode === 'phrase'
+    ? `"${search.value.replace(/"/g, '""')}"`
+    : search.value;
+  const language = search.language === null
+    ? ''
+    : `, LANGUAGE ${typeof search.language === 'number' ? search.language : quoteString(search.language)}`;
+
+  if (rank) {
+    const columns = search.columns.map(column => wrapSegment(String(column).split('.').pop())).join(', ');
+    const reference = `${compileTableReference(search.table, ctx)}.${wrapSegment(search.key)}`;
+
+    return `COALESCE((SELECT [ft].[RANK] FROM ${predicate}TABLE(${wrapIdentifier(stripTableAlias(search.table))}, ` +
+      `(${columns}), ${compileValue(value, ctx)}${language}) AS [ft] WHERE [ft].[KEY] = ${reference}), 0)`;
+  }
+
+  const columns = search.columns.map(column => compileColumn(column, ctx)).join(', ');
+  return `${predicate}((${columns}), ${compileValue(value, ctx)}${language})`;
+}
+
+/**
+ * @param {Object} join
+ * @param {Object} ctx
+ * @returns {string}
+ * @private
+ */
+function compileJoin(join, ctx) {
+  const { type, table } = join;
+  let joinClause = '';
+
+  if (type === 'raw') {
+    return compileRaw(table, ctx);
+  }
+
+  if (type === 'cross') {
+    return `CROSS JOIN ${compileTable(table, ctx)}`;
+  }
+  
+  switch (type) {
+    case 'left':
+      joinClause = 'LEFT OUTER JOIN';
+      break;
+    case 'right':
+      joinClause = 'RIGHT OUTER JOIN';
+      break;
+    case 'full':
+      joinClause = 'FULL OUTER JOIN';
+      break;
+    default:
+      joinClause = 'INNER JOIN';
+  }
+  
+  return `${joinClause} ${compileTable(table, ctx)} ON ${compileWhere(join.conditions, ctx)}`;
+}
+
+/**
+ * @param {any} value
+ * @returns {string}
+ * @private
+ */
+function escapeLiteral(value) {
+  if (value === null || value === undefined) {
+    return 'NULL';
+  }
+  if (typeof value === 'boolean') {
+    return value ? '1' : '0';
+  }
+  if (typeof value === 'number' || typeof value === 'bigint') {
+    return String(value);
+  }
+  if (value instanceof Date) {
+    return quoteString(value.toISOString());
+  }
+  if (Buffer.isBuffer(value)) {
+    return `0x${value.toString('hex')}`;
+  }
+  if (typeof value === 'object') {
+    return `N${quoteString(JSON.stringify(value))}`;
+  }
+  return `N${quoteString(String(value))}`;
+}
+
+/**
+ * @param {string} value
+ * @returns {string}
+ */
+function wrapIdentifier(value) {
+  return quoteIdentifier(value, wrapSegment);
+}
+
+/**
+ * @param {Object} statements
+ * @param {Object} ctx
+ * @returns {string}
+ * @private
+ */
+function compileWithClause(statements, ctx) {
+  if (!statements.with || !statements.with.length) {
+    return '';
+  }
+
+  return `${compileWith(statements.with, ctx, false)} `;
+}
+
+/**
+ * @param {Object} options
+ * @returns {Object}
+ * @private
+ */
+function createCompilerContext(options = {}) {
+  if (options.ctx) {
+    return options.ctx;
+  }
+
+  return createContext(index => `@p${index - 1}`, {
+    version: options.version,
+    compileQuery,
+    windowOrderFallback: '(SELECT NULL)',
+    derivedOrderFallback: 'OFFSET 0 ROWS',
+    escapedPlaceholder: '\\?',
+    rowValues: false,
+    compileFullText,
+    wrapSegment
+  });
+}
+
+/**
+ * @param {QueryBuilder} builder
+ * @param {Object} ctx
+ * @returns {string}
+ * @private
+ */
+function compileQuery(builder, ctx) {
+  return compileSelect(builder.tableName, builder.statements, builder.bindings, { ctx }).sql;
+}
+
 module.exports = {
   compileSelect,
   compileInsert,
   compileUpdate,
-  compileDelete
+  compileDelete,
+  wrapIdentifier,
+  interpolate,
+  supportsReturning: true,
+  maxParameters: 2100,
+  maxInsertRows: 1000
 }; 
\ No newline at end of file
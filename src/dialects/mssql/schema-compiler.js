@@ -1,3 +1,8 @@
+const { quoteString, createSchemaWrappers } = require('../../utils/compiler-helpers');
+const { wrapIdentifier } = require('./query-compiler');
+
+const { wrapColumns, wrapName } = createSchemaWrappers(wrapIdentifier);
+
 /**
  * @type {Object}
  */
@@ -33,7 +38,7 @@ function compileCreateTable(tableName, columns, constraints) {
   
   if (constraints.primaryKey && constraints.primaryKey.length) {
     constraintDefinitions.push(
-      `CONSTRAINT [PK_${tableName}] PRIMARY KEY (${constraints.primaryKey.join(', ')})`
+      `CONSTRAINT ${wrapName(`PK_${tableName}`)} PRIMARY KEY (${wrapColumns(constraints.primaryKey)})`
     );
   }
   
@@ -41,7 +46,7 @@ function compileCreateTable(tableName, columns, constraints) {
     for (let i = 0; i < constraints.unique.length; i++) {
       const uniqueColumns = constraints.unique[i];
       constraintDefinitions.push(
-        `CONSTRAINT [UQ_${tableName}_${i}] UNIQUE (${uniqueColumns.join(', ')})`
+        `CONSTRAINT ${wrapName(`UQ_${tableName}_${i}`)} UNIQUE (${wrapColumns(uniqueColumns)})`
       );
     }
   }
@@ -50,15 +55,19 @@ function compileCreateTable(tableName, columns, constraints) {
     for (let i = 0; i < constraints.foreignKeys.length; i++) {
       const fk = constraints.foreignKeys[i];
       constraintDefinitions.push(
-        `CONSTRAINT [FK_${tableName}_${fk.column}_${i}] ` +
-        `FOREIGN KEY (${fk.column}) REFERENCES ${fk.referenceTable} ` +
-        `(${fk.referenceColumn}) ON DELETE CASCADE`
+        `CONSTRAINT ${wrapName(`FK_${tableName}_${fk.column}_${i}`)} ` +
+        `FOREIGN KEY (${wrapIdentifier(fk.column)}) REFERENCES ${wrapIdentifier(fk.referenceTable)} ` +
+        `(${wrapIdentifier(fk.referenceColumn)}) ON DELETE CASCADE`
       );
     }
   }
   
   const allDefinitions = [...columnDefinitions, ...constraintDefinitions];
-  const sql = `CREATE TABLE ${tableName} (${allDefinitions.join(', ')})`;
+  const statements = [
+    `CREATE TABLE ${wrapIdentifier(tableName)} (${allDefinitions.join(', ')})`,
+    ...compileFullTextIndexes(tableName, constraints.fullText)
+  ];
+  const sql = statements.join('; ');
   
   return {
     sql,
@@ -77,13 +86,13 @@ function compileAlterTable(tableName, columns, constraints) {
   const bindings = [];
   
   for (const column of columns) {
-    alterStatements.push(`ALTER TABLE ${tableName} ADD ${compileColumn(column)}`);
+    alterStatements.push(`ALTER TABLE ${wrapIdentifier(tableName)} ADD ${compileColumn(column)}`);
   }
   
   if (constraints.primaryKey && constraints.primaryKey.length) {
     alterStatements.push(
-      `ALTER TABLE ${tableName} ADD CONSTRAINT [PK_${tableName}] ` +
-      `PRIMARY KEY (${constraints.primaryKey.join(', ')})`
+      `ALTER TABLE ${wrapIdentifier(tableName)} ADD CONSTRAINT ${wrapName(`PK_${tableName}`)} ` +
+      `PRIMARY KEY (${wrapColumns(constraints.primaryKey)})`
     );
   }
   
@@ -91,8 +100,8 @@ function compileAlterTable(tableName, columns, constraints) {
     for (let i = 0; i < constraints.unique.length; i++) {
       const uniqueColumns = constraints.unique[i];
       alterStatements.push(
-        `ALTER TABLE ${tableName} ADD CONSTRAINT [UQ_${tableName}_${i}] ` +
-        `UNIQUE (${uniqueColumns.join(', ')})`
+        `ALTER TABLE ${wrapIdentifier(tableName)} ADD CONSTRAINT ${wrapName(`UQ_${tableName}_${i}`)} ` +
+        `UNIQUE (${wrapColumns(uniqueColumns)})`
       );
     }
   }
@@ -101,9 +110,9 @@ function compileAlterTable(tableName, columns, constraints) {
     for (let i = 0; i < constraints.foreignKeys.length; i++) {
       const fk = constraints.foreignKeys[i];
       alterStatements.push(
-        `ALTER TABLE ${tableName} ADD CONSTRAINT [FK_${tableName}_${fk.column}_${i}] ` +
-        `FOREIGN KEY (${fk.column}) REFERENCES ${fk.referenceTable} ` +
-        `(${fk.referenceColumn}) ON DELETE CASCADE`
+        `ALTER TABLE ${wrapIdentifier(tableName)} ADD CONSTRAINT ${wrapName(`FK_${tableName}_${fk.column}_${i}`)} ` +
+        `FOREIGN KEY (${wrapIdentifier(fk.column)}) REFERENCES ${wrapIdentifier(fk.referenceTable)} ` +
+        `(${wrapIdentifier(fk.referenceColumn)}) ON DELETE CASCADE`
       );
     }
   }
@@ -113,11 +122,13 @@ function compileAlterTable(tableName, columns, constraints) {
       const idx = constraints.index[i];
       const indexName = idx.name || `IX_${tableName}_${i}`;
       alterStatements.push(
-        `CREATE INDEX [${indexName}] ON ${tableName}(${idx.columns.join(', ')})`
+        `CREATE INDEX ${wrapName(indexName)} ON ${wrapIdentifier(tableName)}(${wrapColumns(idx.columns)})`
       );
     }
   }
   
+  alterStatements.push(...compileFullTextIndexes(tableName, constraints.fullText));
+  
   return {
     sql: alterStatements.join('; '),
     bindings
@@ -130,7 +141,7 @@ function compileAlterTable(tableName, columns, constraints) {
  */
 function compileDropTable(tableName) {
   return {
-    sql: `IF OBJECT_ID('${tableName}', 'U') IS NOT NULL DROP TABLE ${tableName}`,
+    sql: `IF OBJECT_ID(${quoteString(wrapIdentifier(tableName))}, 'U') IS NOT NULL DROP TABLE ${wrapIdentifier(tableName)}`,
     bindings: []
   };
 }
@@ -141,7 +152,7 @@ function compileDropTable(tableName) {
  */
 function compileTableExists(tableName) {
   return {
-    sql: `SELECT TABLE_NAME FROM INFORMATION_SCHEMA.TABLES WHERE TABLE_NAME = ?`,
+    sql: `SELECT TABLE_NAME FROM INFORMATION_SCHEMA.TABLES WHERE TABLE_NAME = @p0`,
     bindings: [tableName]
   };
 }
@@ -153,7 +164,7 @@ function compileTableExists(tableName) {
  */
 function compileColumnExists(tableName, columnName) {
   return {
-    sql: `SELECT COLUMN_NAME FROM INFORMATION_SCHEMA.COLUMNS WHERE TABLE_NAME = ? AND COLUMN_NAME = ?`,
+    sql: `SELECT COLUMN_NAME FROM INFORMATION_SCHEMA.COLUMNS WHERE TABLE_NAME = @p0 AND COLUMN_NAME = @p1`,
     bindings: [tableName, columnName]
   };
 }
@@ -164,7 +175,7 @@ function compileColumnExists(tableName, columnName) {
  * @private
  */
 function compileColumn(column) {
-  const parts = [column.name];
+  const parts = [wrapIdentifier(column.name)];
   
   if (typeof DATA_TYPES[column.type] === 'function') {
     if (column.type === 'string') {
@@ -188,7 +199,7 @@ function compileColumn(column) {
   
   if (column.defaultValue !== undefined) {
     if (typeof column.defaultValue === 'string') {
-      parts.push(`DEFAULT '${column.defaultValue}'`);
+      parts.push(`DEFAULT ${quoteString(column.defaultValue)}`);
     } else if (column.defaultValue === null) {
       parts.push('DEFAULT NULL');
     } else {
@@ -199,6 +210,29 @@ function compileColumn(column) {
   return parts.join(' ');
 }
 
+/**
+ * @param {string} tableName
+ * @param {Array} fullText
+ * @returns {Array}
+ * @private
+ */
+function compileFullTextIndexes(tableName, fullText = []) {
+  if (fullText.length > 1) {
+    throw new Error(`SQL Server n'autorise qu'un seul index plein texte par table: ${tableName}`);
+  }
+
+  return fullText.map(index => {
+    const language = index.language === undefined
+      ? ''
+      : ` LANGUAGE ${typeof index.language === 'number' ? index.language : quoteString(index.language)}`;
+    const columns = index.columns.map(column => `${wrapIdentifier(column)}${language}`).join(', ');
+    const keyIndex = wrapName(index.keyIndex || `PK_${tableName}`);
+    const catalog = index.catalog ? ` ON ${wrapIdentifier(index.catalog)}` : '';
+
+    return `CREATE FULLTEXT INDEX ON ${wrapIdentifier(tableName)} (${columns}) KEY INDEX ${keyIndex}${catalog}`;
+  });
+}
+
 module.exports = {
   compileCreateTable,
   compileAlterTable,
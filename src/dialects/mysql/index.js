@@ -52,17 +52,74 @@ async function destroyPool(pool) {
  * @param {Connection} connection
  * @param {string} sql
  * @param {Array} bindings
+ * @returns {Object}
+ * @private
+ */
+function prepareQuery(connection, sql, bindings = []) {
+  if (!sql.includes('\\?')) {
+    return { sql, bindings };
+  }
+
+  let index = 0;
+  const formatted = sql.replace(/\\\?|\?/g, match => {
+    return match === '?' && index < bindings.length ? connection.escape(bindings[index++]) : match;
+  });
+
+  return { sql: formatted, bindings: [] };
+}
+
+/**
+ * @param {Connection} connection
+ * @param {string} sql
+ * @param {Array} bindings
+ * @param {Object} options
  * @returns {Promise<Object>}
  */
-async function executeQuery(connection, sql, bindings) {
+async function executeQuery(connection, sql, bindings, options = {}) {
+  const prepared = prepareQuery(connection, sql, bindings);
+
   return new Promise((resolve, reject) => {
-    connection.query(sql, bindings, (err, results) => {
+    connection.query(prepared.sql, prepared.bindings, (err, results) => {
       if (err) return reject(err);
-      resolve(results);
+
+      if (!options.method || options.method === 'select') {
+        return resolve(results);
+      }
+
+      resolve({ rowCount: results.affectedRows, insertId: results.insertId });
     });
   });
 }
 
+/**
+ * @param {Connection} connection
+ * @param {string} sql
+ * @param {Array} bindings
+ * @param {Object} options
+ * @returns {Readable}
+ */
+function streamQuery(connection, sql, bindings, options = {}) {
+  const prepared = prepareQuery(connection, sql, bindings);
+  const query = connection.query(prepared.sql, prepared.bindings);
+  const stream = query.stream({ highWaterMark: options.highWaterMark || 100 });
+  let ended = false;
+
+  query.on('end', () => {
+    ended = true;
+  });
+
+  stream.on('close', () => {
+    if (!ended) {
+      query.removeAllListeners('result');
+      query.removeAllListeners('error');
+      query.on('error', () => {});
+      connection.resume();
+    }
+  });
+
+  return stream;
+}
+
 /**
  * @param {Connection} connection
  * @returns {Promise<void>}
@@ -108,6 +165,7 @@ module.exports = {
   releaseConnection,
   destroyPool,
   executeQuery,
+  streamQuery,
   beginTransaction,
   commitTransaction,
   rollbackTransaction,
@@ -1,220 +1,416 @@
+const {
+  createContext,
+  createIdentifierWrapper,
+  quoteIdentifier,
+  isVersionBefore,
+  compileRaw,
+  compileValue,
+  compileSetClauses,
+  compileTableReference,
+  compileJoinSource,
+  compileInsertSelect,
+  compileInsertColumns,
+  collectInsertColumns,
+  compileInsertValues,
+  compileColumn,
+  compileColumns,
+  compileDistinct,
+  compileOrderBy,
+  hasWindowFunction,
+  compileWith,
+  compileUnions,
+  compileMergeAssignments,
+  interpolateBindings,
+  quoteString,
+  compileTable,
+  compileWhere
+} = require('../../utils/compiler-helpers');
+
+const wrapSegment = createIdentifierWrapper('`', '`');
+
 /**
  * @param {string} tableName
  * @param {Object} statements
  * @param {Object} bindings
+ * @param {Object} options
  * @returns {Object}
  */
-function compileSelect(tableName, statements, bindings) {
+function compileSelect(tableName, statements, bindings, options = {}) {
   const parts = ['SELECT'];
-  const params = [];
+  const ctx = createCompilerContext(options);
+  const withClause = compileWithClause(statements, ctx);
+
+  if (hasWindowFunction(statements.select) && isVersionBefore(ctx.version, '8.0.0')) {
+    throw new Error(`MySQL ${ctx.version} ne supporte pas les fonctions de fenêtrage (8.0 minimum)`);
+  }
+
+  const distinct = compileDistinct(statements, ctx);
+  if (distinct) {
+    parts.push(distinct);
+  }
 
   if (statements.select && statements.select.length) {
-    parts.push(statements.select.join(', '));
+    parts.push(compileColumns(statements.select, ctx));
   } else {
     parts.push('*');
   }
 
-  parts.push(`FROM ${tableName}`);
+  parts.push(`FROM ${compileTable(tableName, ctx)}`);
 
   if (statements.join && statements.join.length) {
     for (const join of statements.join) {
-      const { type, table, first, operator, second } = join;
-      let joinClause = '';
-      
-      switch (type) {
-        case 'left':
-          joinClause = 'LEFT JOIN';
-          break;
-        case 'right':
-          joinClause = 'RIGHT JOIN';
-          break;
-        case 'full':
-          joinClause = 'FULL JOIN';
-          break;
-        default:
-          joinClause = 'JOIN';
-      }
-      
-      parts.push(`${joinClause} ${table} ON ${first} ${operator} ${second}`);
+      parts.push(compileJoin(join, ctx));
     }
   }
 
   if (statements.where && statements.where.length) {
-    const whereClauses = [];
-    
-    for (let i = 0; i < statements.where.length; i++) {
-      const { column, operator, value, boolean } = statements.where[i];
-      
-      if (i === 0) {
-        whereClauses.push(`${column} ${operator} ?`);
-      } else {
-        whereClauses.push(`${boolean} ${column} ${operator} ?`);
-      }
-      
-      params.push(value);
-    }
-    
-    parts.push(`WHERE ${whereClauses.join(' ')}`);
+    parts.push(`WHERE ${compileWhere(statements.where, ctx)}`);
   }
 
   if (statements.groupBy && statements.groupBy.length) {
-    parts.push(`GROUP BY ${statements.groupBy.join(', ')}`);
+    parts.push(`GROUP BY ${compileColumns(statements.groupBy, ctx)}`);
   }
 
   if (statements.having && statements.having.length) {
-    const havingClauses = [];
-    
-    for (let i = 0; i < statements.having.length; i++) {
-      const { column, operator, value, boolean } = statements.having[i];
-      
-      if (i === 0) {
-        havingClauses.push(`${column} ${operator} ?`);
-      } else {
-        havingClauses.push(`${boolean} ${column} ${operator} ?`);
+    parts.push(`HAVING ${compileWhere(statements.having, ctx)}`);
+  }
+
+  if (statements.union && statements.union.length) {
+    for (const union of statements.union) {
+      if (['intersect', 'except'].includes(union.type) && isVersionBefore(ctx.version, '8.0.31')) {
+        throw new Error(`MySQL ${ctx.version} ne supporte pas ${union.type.toUpperCase()} (8.0.31 minimum)`);
       }
-      
-      params.push(value);
     }
-    
-    parts.push(`HAVING ${havingClauses.join(' ')}`);
+    parts.push(compileUnions(statements.union, ctx));
   }
 
   if (statements.orderBy && statements.orderBy.length) {
-    const orders = statements.orderBy.map(order => `${order.column} ${order.direction.toUpperCase()}`);
-    parts.push(`ORDER BY ${orders.join(', ')}`);
+    parts.push(`ORDER BY ${compileOrderBy(statements.orderBy, ctx)}`);
   }
 
   if (statements.limit !== null && statements.limit !== undefined) {
-    parts.push(`LIMIT ?`);
-    params.push(statements.limit);
+    parts.push(`LIMIT ${ctx.parameter(statements.limit)}`);
   }
 
   if (statements.offset !== null && statements.offset !== undefined) {
-    parts.push(`OFFSET ?`);
-    params.push(statements.offset);
+    parts.push(`OFFSET ${ctx.parameter(statements.offset)}`);
+  }
+
+  if (statements.lock && statements.lock.mode) {
+    parts.push(compileLock(statements.lock, ctx));
   }
 
   return {
-    sql: parts.join(' '),
-    bindings: params
+    sql: withClause + parts.join(' '),
+    bindings: ctx.params
   };
 }
 
 /**
  * @param {string} tableName
  * @param {Object|Array} data
+ * @param {Object} statements
+ * @param {Object} options
  * @returns {Object}
  */
-function compileInsert(tableName, data) {
+function compileInsert(tableName, data, statements = {}, options = {}) {
   const rows = Array.isArray(data) ? data : [data];
+  if (statements.insertSelect) {
+    const ctx = createCompilerContext(options);
+    const table = compileTable(tableName, ctx);
+    const columns = compileInsertColumns(data, ctx);
+    const withClause = compileWithClause(statements, ctx);
+
+    return {
+      sql: `INSERT INTO ${table}${columns} ${withClause}${compileInsertSelect(statements, ctx)}`,
+      bindings: ctx.params
+    };
+  }
+
   if (!rows.length) {
     throw new Error('Aucune donnée à insérer');
   }
 
-  const columns = Object.keys(rows[0]);
-  const paramPlaceholders = [];
-  const params = [];
-
-  for (const row of rows) {
-    const rowParams = [];
-    for (const column of columns) {
-      rowParams.push('?');
-      params.push(row[column]);
-    }
-    paramPlaceholders.push(`(${rowParams.join(', ')})`);
+  if (statements.with && statements.with.length) {
+    throw new Error('MySQL n\'accepte une clause WITH dans un INSERT qu\'avec INSERT ... SELECT');
   }
 
-  const sql = `INSERT INTO ${tableName} (${columns.join(', ')}) VALUES ${paramPlaceholders.join(', ')}`;
+  const columns = options.columns || collectInsertColumns(rows);
+  const ctx = createCompilerContext(options);
+  const paramPlaceholders = compileInsertValues(rows, columns, ctx);
+
+  const onConflict = statements.onConflict;
+  const ignore = onConflict && onConflict.action === 'ignore';
+  let sql = `INSERT ${ignore ? 'IGNORE ' : ''}INTO ${compileTable(tableName, ctx)} (${columns.map(column => compileColumn(column, ctx)).join(', ')}) VALUES ${paramPlaceholders.join(', ')}`;
+
+  if (onConflict && !ignore) {
+    sql += ` ${compileOnDuplicateKey(onConflict, columns, ctx)}`;
+  }
 
   return {
     sql,
-    bindings: params
+    bindings: ctx.params
   };
 }
 
 /**
  * @param {string} tableName
  * @param {Object} data
- * @param {Array} whereStatements
- * @param {Array} whereBindings
+ * @param {Object} statements
+ * @param {Object} bindings
+ * @param {Object} options
  * @returns {Object}
  */
-function compileUpdate(tableName, data, whereStatements, whereBindings) {
-  if (!data || Object.keys(data).length === 0) {
+function compileUpdate(tableName, data, statements, bindings, options = {}) {
+  const ctx = createCompilerContext(options);
+  const withClause = compileWithClause(statements, ctx);
+  const table = compileTable(tableName, ctx);
+  const joins = (statements.join || []).map(join => ` ${compileJoin(join, ctx)}`).join('');
+  const setClauses = compileSetClauses(data, statements.increments, ctx);
+
+  if (!setClauses.length) {
     throw new Error('Aucune donnée à mettre à jour');
   }
 
-  const columns = Object.keys(data);
-  const params = [];
-
-  const setClauses = columns.map(column => {
-    params.push(data[column]);
-    return `${column} = ?`;
-  });
-
-  let sql = `UPDATE ${tableName} SET ${setClauses.join(', ')}`;
-  if (whereStatements && whereStatements.length) {
-    const whereClauses = [];
-    
-    for (let i = 0; i < whereStatements.length; i++) {
-      const { column, operator, value, boolean } = whereStatements[i];
-      
-      if (i === 0) {
-        whereClauses.push(`${column} ${operator} ?`);
-      } else {
-        whereClauses.push(`${boolean} ${column} ${operator} ?`);
-      }
-      
-      params.push(value);
-    }
-    
-    sql += ` WHERE ${whereClauses.join(' ')}`;
+  let sql = `${withClause}UPDATE ${table}${joins} SET ${setClauses.join(', ')}`;
+  if (statements.where && statements.where.length) {
+    sql += ` WHERE ${compileWhere(statements.where, ctx)}`;
   }
 
   return {
     sql,
-    bindings: params
+    bindings: ctx.params
   };
 }
 
 /**
  * @param {string} tableName
- * @param {Array} whereStatements
- * @param {Array} whereBindings
+ * @param {Object} statements
+ * @param {Object} bindings
+ * @param {Object} options
  * @returns {Object}
  */
-function compileDelete(tableName, whereStatements, whereBindings) {
-  const params = [];
-
-  let sql = `DELETE FROM ${tableName}`;
-
-  if (whereStatements && whereStatements.length) {
-    const whereClauses = [];
-    
-    for (let i = 0; i < whereStatements.length; i++) {
-      const { column, operator, value, boolean } = whereStatements[i];
-      
-      if (i === 0) {
-        whereClauses.push(`${column} ${operator} ?`);
-      } else {
-        whereClauses.push(`${boolean} ${column} ${operator} ?`);
-      }
-      
-      params.push(value);
-    }
-    
-    sql += ` WHERE ${whereClauses.join(' ')}`;
+function compileDelete(tableName, statements, bindings, options = {}) {
+  const ctx = createCompilerContext(options);
+  const withClause = compileWithClause(statements, ctx);
+
+  let sql = `${withClause}DELETE FROM ${compileTable(tableName, ctx)}`;
+
+  if (statements.join && statements.join.length) {
+    const joins = statements.join.map(join => compileJoin(join, ctx)).join(' ');
+    sql = `${withClause}DELETE ${compileTableReference(tableName, ctx)} FROM ${compileTable(tableName, ctx)} ${joins}`;
+  }
+
+  if (statements.where && statements.where.length) {
+    sql += ` WHERE ${compileWhere(statements.where, ctx)}`;
   }
 
   return {
     sql,
-    bindings: params
+    bindings: ctx.params
   };
 }
 
+/**
+ * @param {Object} onConflict
+ * @param {Array} columns
+ * @param {Object} ctx
+ * @returns {string}
+ * @private
+ */
+function compileOnDuplicateKey(onConflict, columns, ctx) {
+  if (ctx.version && !isVersionBefore(ctx.version, '8.0.20')) {
+    const assignments = compileMergeAssignments(onConflict.merge, columns, ctx, column => `new.${column}`);
+    return `AS new ON DUPLICATE KEY UPDATE ${assignments}`;
+  }
+
+  const assignments = compileMergeAssignments(onConflict.merge, columns, ctx, column => `VALUES(${column})`);
+  return `ON DUPLICATE KEY UPDATE ${assignments}`;
+}
+
+/**
+ * @param {string} sql
+ * @param {Array} bindings
+ * @returns {string}
+ */
+function interpolate(sql, bindings) {
+  return interpolateBindings(sql, bindings, escapeLiteral);
+}
+
+/**
+ * @param {Object} lock
+ * @param {Object} ctx
+ * @returns {string}
+ * @private
+ */
+function compileLock(lock, ctx) {
+  if (isVersionBefore(ctx.version, '8.0.0')) {
+    if (lock.wait) {
+      const option = lock.wait === 'skipLocked' ? 'SKIP LOCKED' : 'NOWAIT';
+      throw new Error(`MySQL ${ctx.version} ne supporte pas ${option} (8.0 minimum)`);
+    }
+    return lock.mode === 'share' ? 'LOCK IN SHARE MODE' : 'FOR UPDATE';
+  }
+
+  const clause = lock.mode === 'share' ? 'FOR SHARE' : 'FOR UPDATE';
+
+  if (lock.wait === 'skipLocked') {
+    return `${clause} SKIP LOCKED`;
+  }
+
+  if (lock.wait === 'noWait') {
+    return `${clause} NOWAIT`;
+  }
+
+  return clause;
+}
+
+/**
+ * @param {Object} search
+ * @param {Object} ctx
+ * @returns {string}
+ * @private
+ */
+function compileFullText(search, ctx) {
+  const columns = search.columns.map(column => compileColumn(column, ctx)).join(', ');
+
+  if (search.mode === 'natural') {
+    return `MATCH (${columns}) AGAINST (${compileValue(search.value, ctx)} IN NATURAL LANGUAGE MODE)`;
+  }
+
+  const value = search.mode === 'phrase'
+    ? `"${search.value.replace(/"/g, ' ')}"`
+    : search.value;
+
+  return `MATCH (${columns}) AGAINST (${compileValue(value, ctx)} IN BOOLEAN MODE)`;
+}
+
+/**
+ * @param {Object} join
+ * @param {Object} ctx
+ * @returns {string}
+ * @private
+ */
+function compileJoin(join, ctx) {
+  const { type, table } = join;
+  let joinClause = '';
+
+  if (type === 'raw') {
+    return compileRaw(table, ctx);
+  }
+
+  if (type === 'cross') {
+    return `CROSS JOIN ${compileTable(table, ctx)}`;
+  }
+  
+  switch (type) {
+    case 'left':
+      joinClause = 'LEFT JOIN';
+      break;
+    case 'right':
+      joinClause = 'RIGHT JOIN';
+      break;
+    case 'full':
+      throw new Error('MySQL ne supporte pas FULL OUTER JOIN');
+    default:
+      joinClause = 'JOIN';
+  }
+  
+  return `${joinClause} ${compileTable(table, ctx)} ON ${compileWhere(join.conditions, ctx)}`;
+}
+
+/**
+ * @param {any} value
+ * @returns {string}
+ * @private
+ */
+function escapeLiteral(value) {
+  if (value === null || value === undefined) {
+    return 'NULL';
+  }
+  if (typeof value === 'boolean') {
+    return value ? 'TRUE' : 'FALSE';
+  }
+  if (typeof value === 'number' || typeof value === 'bigint') {
+    return String(value);
+  }
+  if (value instanceof Date) {
+    return quoteString(value.toISOString().slice(0, 23).replace('T', ' '));
+  }
+  if (Buffer.isBuffer(value)) {
+    return `X'${value.toString('hex')}'`;
+  }
+  if (Array.isArray(value)) {
+    return value.map(escapeLiteral).join(', ');
+  }
+  if (typeof value === 'object') {
+    return escapeLiteral(JSON.stringify(value));
+  }
+  return quoteString(String(value).replace(/\\/g, '\\\\'));
+}
+
+/**
+ * @param {string} value
+ * @returns {string}
+ */
+function wrapIdentifier(value) {
+  return quoteIdentifier(value, wrapSegment);
+}
+
+/**
+ * @param {Object} statements
+ * @param {Object} ctx
+ * @returns {string}
+ * @private
+ */
+function compileWithClause(statements, ctx) {
+  if (!statements.with || !statements.with.length) {
+    return '';
+  }
+
+  if (isVersionBefore(ctx.version, '8.0.0')) {
+    throw new Error(`MySQL ${ctx.version} ne supporte pas les clauses WITH (8.0 minimum)`);
+  }
+
+  return `${compileWith(statements.with, ctx)} `;
+}
+
+/**
+ * @param {Object} options
+ * @returns {Object}
+ * @private
+ */
+function createCompilerContext(options = {}) {
+  if (options.ctx) {
+    return options.ctx;
+  }
+
+  return createContext(() => '?', {
+    version: options.version,
+    compileQuery,
+    compileFullText,
+    escapedPlaceholder: '\\?',
+    wrapSegment
+  });
+}
+
+/**
+ * @param {QueryBuilder} builder
+ * @param {Object} ctx
+ * @returns {string}
+ * @private
+ */
+function compileQuery(builder, ctx) {
+  return compileSelect(builder.tableName, builder.statements, builder.bindings, { ctx }).sql;
+}
+
 module.exports = {
   compileSelect,
   compileInsert,
   compileUpdate,
-  compileDelete
+  compileDelete,
+  wrapIdentifier,
+  interpolate,
+  supportsReturning: false,
+  maxParameters: 65535
 }; 
\ No newline at end of file
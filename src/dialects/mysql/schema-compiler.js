@@ -1,3 +1,8 @@
+const { quoteString, createSchemaWrappers } = require('../../utils/compiler-helpers');
+const { wrapIdentifier } = require('./query-compiler');
+
+const { wrapColumns, wrapName } = createSchemaWrappers(wrapIdentifier);
+
 /**
  * @type {Object}
  */
@@ -32,13 +37,13 @@ function compileCreateTable(tableName, columns, constraints) {
   }
   
   if (constraints.primaryKey && constraints.primaryKey.length) {
-    constraintDefinitions.push(`PRIMARY KEY (${constraints.primaryKey.join(', ')})`);
+    constraintDefinitions.push(`PRIMARY KEY (${wrapColumns(constraints.primaryKey)})`);
   }
   
   if (constraints.unique && constraints.unique.length) {
     for (let i = 0; i < constraints.unique.length; i++) {
       const uniqueColumns = constraints.unique[i];
-      constraintDefinitions.push(`UNIQUE KEY \`${tableName}_unique_${i}\` (${uniqueColumns.join(', ')})`);
+      constraintDefinitions.push(`UNIQUE KEY ${wrapName(`${tableName}_unique_${i}`)} (${wrapColumns(uniqueColumns)})`);
     }
   }
   
@@ -46,14 +51,22 @@ function compileCreateTable(tableName, columns, constraints) {
     for (let i = 0; i < constraints.foreignKeys.length; i++) {
       const fk = constraints.foreignKeys[i];
       constraintDefinitions.push(
-        `CONSTRAINT \`${tableName}_fk_${i}\` FOREIGN KEY (${fk.column}) ` +
-        `REFERENCES ${fk.referenceTable}(${fk.referenceColumn}) ON DELETE CASCADE`
+        `CONSTRAINT ${wrapName(`${tableName}_fk_${i}`)} FOREIGN KEY (${wrapIdentifier(fk.column)}) ` +
+        `REFERENCES ${wrapIdentifier(fk.referenceTable)}(${wrapIdentifier(fk.referenceColumn)}) ON DELETE CASCADE`
       );
     }
   }
   
+  if (constraints.fullText && constraints.fullText.length) {
+    for (let i = 0; i < constraints.fullText.length; i++) {
+      const index = constraints.fullText[i];
+      const indexName = index.name || `${tableName}_fulltext_${i}`;
+      constraintDefinitions.push(`FULLTEXT KEY ${wrapName(indexName)} (${wrapColumns(index.columns)})`);
+    }
+  }
+  
   const allDefinitions = [...columnDefinitions, ...constraintDefinitions];
-  const sql = `CREATE TABLE ${tableName} (${allDefinitions.join(', ')}) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci`;
+  const sql = `CREATE TABLE ${wrapIdentifier(tableName)} (${allDefinitions.join(', ')}) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci`;
   
   return {
     sql,
@@ -72,12 +85,12 @@ function compileAlterTable(tableName, columns, constraints) {
   const bindings = [];
   
   for (const column of columns) {
-    alterStatements.push(`ALTER TABLE ${tableName} ADD COLUMN ${compileColumn(column)}`);
+    alterStatements.push(`ALTER TABLE ${wrapIdentifier(tableName)} ADD COLUMN ${compileColumn(column)}`);
   }
   
   if (constraints.primaryKey && constraints.primaryKey.length) {
     alterStatements.push(
-      `ALTER TABLE ${tableName} ADD PRIMARY KEY (${constraints.primaryKey.join(', ')})`
+      `ALTER TABLE ${wrapIdentifier(tableName)} ADD PRIMARY KEY (${wrapColumns(constraints.primaryKey)})`
     );
   }
   
@@ -85,7 +98,7 @@ function compileAlterTable(tableName, columns, constraints) {
     for (let i = 0; i < constraints.unique.length; i++) {
       const uniqueColumns = constraints.unique[i];
       alterStatements.push(
-        `ALTER TABLE ${tableName} ADD UNIQUE KEY \`${tableName}_unique_${i}\` (${uniqueColumns.join(', ')})`
+        `ALTER TABLE ${wrapIdentifier(tableName)} ADD UNIQUE KEY ${wrapName(`${tableName}_unique_${i}`)} (${wrapColumns(uniqueColumns)})`
       );
     }
   }
@@ -94,8 +107,8 @@ function compileAlterTable(tableName, columns, constraints) {
     for (let i = 0; i < constraints.foreignKeys.length; i++) {
       const fk = constraints.foreignKeys[i];
       alterStatements.push(
-        `ALTER TABLE ${tableName} ADD CONSTRAINT \`${tableName}_fk_${i}\` ` +
-        `FOREIGN KEY (${fk.column}) REFERENCES ${fk.referenceTable}(${fk.referenceColumn}) ON DELETE CASCADE`
+        `ALTER TABLE ${wrapIdentifier(tableName)} ADD CONSTRAINT ${wrapName(`${tableName}_fk_${i}`)} ` +
+        `FOREIGN KEY (${wrapIdentifier(fk.column)}) REFERENCES ${wrapIdentifier(fk.referenceTable)}(${wrapIdentifier(fk.referenceColumn)}) ON DELETE CASCADE`
       );
     }
   }
@@ -105,7 +118,17 @@ function compileAlterTable(tableName, columns, constraints) {
       const idx = constraints.index[i];
       const indexName = idx.name || `${tableName}_idx_${i}`;
       alterStatements.push(
-        `CREATE INDEX \`${indexName}\` ON ${tableName}(${idx.columns.join(', ')})`
+        `CREATE INDEX ${wrapName(indexName)} ON ${wrapIdentifier(tableName)}(${wrapColumns(idx.columns)})`
+      );
+    }
+  }
+  
+  if (constraints.fullText && constraints.fullText.length) {
+    for (let i = 0; i < constraints.fullText.length; i++) {
+      const index = constraints.fullText[i];
+      const indexName = index.name || `${tableName}_fulltext_${i}`;
+      alterStatements.push(
+        `ALTER TABLE ${wrapIdentifier(tableName)} ADD FULLTEXT INDEX ${wrapName(indexName)} (${wrapColumns(index.columns)})`
       );
     }
   }
@@ -122,7 +145,7 @@ function compileAlterTable(tableName, columns, constraints) {
  */
 function compileDropTable(tableName) {
   return {
-    sql: `DROP TABLE IF EXISTS ${tableName}`,
+    sql: `DROP TABLE IF EXISTS ${wrapIdentifier(tableName)}`,
     bindings: []
   };
 }
@@ -156,7 +179,7 @@ function compileColumnExists(tableName, columnName) {
  * @private
  */
 function compileColumn(column) {
-  const parts = [column.name];
+  const parts = [wrapIdentifier(column.name)];
   
   if (typeof DATA_TYPES[column.type] === 'function') {
     if (column.type === 'string') {
@@ -178,7 +201,7 @@ function compileColumn(column) {
   
   if (column.defaultValue !== undefined) {
     if (typeof column.defaultValue === 'string') {
-      parts.push(`DEFAULT '${column.defaultValue}'`);
+      parts.push(`DEFAULT ${quoteString(column.defaultValue)}`);
     } else if (column.defaultValue === null) {
       parts.push('DEFAULT NULL');
     } else {
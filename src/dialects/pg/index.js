@@ -1,4 +1,6 @@
 const { Pool } = require('pg');
+const Cursor = require('pg-cursor');
+const { Readable } = require('stream');
 const queryCompiler = require('./query-compiler');
 const schemaCompiler = require('./schema-compiler');
 
@@ -41,11 +43,44 @@ async function destroyPool(pool) {
  * @param {PoolClient} connection
  * @param {string} sql
  * @param {Array} bindings
+ * @param {Object} options
  * @returns {Promise<Object>}
  */
-async function executeQuery(connection, sql, bindings) {
+async function executeQuery(connection, sql, bindings, options = {}) {
   const result = await connection.query(sql, bindings);
-  return result.rows;
+
+  if (!options.method || options.method === 'select' || options.returning) {
+    return result.rows;
+  }
+
+  return { rowCount: result.rowCount };
+}
+
+/**
+ * @param {PoolClient} connection
+ * @param {string} sql
+ * @param {Array} bindings
+ * @param {Object} options
+ * @returns {Readable}
+ */
+function streamQuery(connection, sql, bindings, options = {}) {
+  const batchSize = options.highWaterMark || 100;
+  const cursor = connection.query(new Cursor(sql, bindings));
+
+  return new Readable({
+    objectMode: true,
+    highWaterMark: batchSize,
+    read() {
+      cursor.read(batchSize, (err, rows) => {
+        if (err) return this.destroy(err);
+        if (!rows.length) return this.push(null);
+        rows.forEach(row => this.push(row));
+      });
+    },
+    destroy(err, callback) {
+      cursor.close(() => callback(err));
+    }
+  });
 }
 
 /**
@@ -78,6 +113,7 @@ module.exports = {
   releaseConnection,
   destroyPool,
   executeQuery,
+  streamQuery,
   beginTransaction,
   commitTransaction,
   rollbackTransaction,
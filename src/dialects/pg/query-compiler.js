@@ -1,225 +1,432 @@
+const {
+  createContext,
+  createIdentifierWrapper,
+  quoteIdentifier,
+  compileRaw,
+  compileValue,
+  compileSetClauses,
+  compileTableReference,
+  compileJoinSource,
+  compileInsertSelect,
+  compileInsertColumns,
+  collectInsertColumns,
+  compileInsertValues,
+  compileColumn,
+  compileColumns,
+  compileDistinct,
+  compileOrderBy,
+  compileWith,
+  compileUnions,
+  compileMergeAssignments,
+  compileReturning,
+  interpolateBindings,
+  quoteString,
+  compileTable,
+  compileWhere
+} = require('../../utils/compiler-helpers');
+
+const wrapSegment = createIdentifierWrapper('"', '"');
+
+const DEFAULT_TEXT_SEARCH_CONFIG = 'english';
+
+const TS_QUERY_FUNCTIONS = {
+  natural: 'websearch_to_tsquery',
+  boolean: 'to_tsquery',
+  phrase: 'phraseto_tsquery'
+};
+
 /**
  * @param {string} tableName
  * @param {Object} statements
  * @param {Object} bindings
+ * @param {Object} options
  * @returns {Object}
  */
-function compileSelect(tableName, statements, bindings) {
+function compileSelect(tableName, statements, bindings, options = {}) {
   const parts = ['SELECT'];
-  let paramIndex = 1;
-  const params = [];
+  const ctx = createCompilerContext(options);
+  const withClause = compileWithClause(statements, ctx);
+
+  const distinct = compileDistinct(statements, ctx);
+  if (distinct) {
+    parts.push(distinct);
+  }
 
   if (statements.select && statements.select.length) {
-    parts.push(statements.select.join(', '));
+    parts.push(compileColumns(statements.select, ctx));
   } else {
     parts.push('*');
   }
 
-  parts.push(`FROM ${tableName}`);
+  parts.push(`FROM ${compileTable(tableName, ctx)}`);
 
   if (statements.join && statements.join.length) {
     for (const join of statements.join) {
-      const { type, table, first, operator, second } = join;
-      let joinClause = '';
-      
-      switch (type) {
-        case 'left':
-          joinClause = 'LEFT JOIN';
-          break;
-        case 'right':
-          joinClause = 'RIGHT JOIN';
-          break;
-        case 'full':
-          joinClause = 'FULL JOIN';
-          break;
-        default:
-          joinClause = 'JOIN';
-      }
-      
-      parts.push(`${joinClause} ${table} ON ${first} ${operator} ${second}`);
+      parts.push(compileJoin(join, ctx));
     }
   }
 
   if (statements.where && statements.where.length) {
-    const whereClauses = [];
-    
-    for (let i = 0; i < statements.where.length; i++) {
-      const { column, operator, value, boolean } = statements.where[i];
-      
-      if (i === 0) {
-        whereClauses.push(`${column} ${operator} $${paramIndex++}`);
-      } else {
-        whereClauses.push(`${boolean} ${column} ${operator} $${paramIndex++}`);
-      }
-      
-      params.push(value);
-    }
-    
-    parts.push(`WHERE ${whereClauses.join(' ')}`);
+    parts.push(`WHERE ${compileWhere(statements.where, ctx)}`);
   }
 
   if (statements.groupBy && statements.groupBy.length) {
-    parts.push(`GROUP BY ${statements.groupBy.join(', ')}`);
+    parts.push(`GROUP BY ${compileColumns(statements.groupBy, ctx)}`);
   }
 
   if (statements.having && statements.having.length) {
-    const havingClauses = [];
-    
-    for (let i = 0; i < statements.having.length; i++) {
-      const { column, operator, value, boolean } = statements.having[i];
-      
-      if (i === 0) {
-        havingClauses.push(`${column} ${operator} $${paramIndex++}`);
-      } else {
-        havingClauses.push(`${boolean} ${column} ${operator} $${paramIndex++}`);
-      }
-      
-      params.push(value);
-    }
-    
-    parts.push(`HAVING ${havingClauses.join(' ')}`);
+    parts.push(`HAVING ${compileWhere(statements.having, ctx)}`);
+  }
+
+  if (statements.union && statements.union.length) {
+    parts.push(compileUnions(statements.union, ctx));
   }
 
   if (statements.orderBy && statements.orderBy.length) {
-    const orders = statements.orderBy.map(order => `${order.column} ${order.direction.toUpperCase()}`);
-    parts.push(`ORDER BY ${orders.join(', ')}`);
+    parts.push(`ORDER BY ${compileOrderBy(statements.orderBy, ctx)}`);
   }
 
   if (statements.limit !== null && statements.limit !== undefined) {
-    parts.push(`LIMIT $${paramIndex++}`);
-    params.push(statements.limit);
+    parts.push(`LIMIT ${ctx.parameter(statements.limit)}`);
   }
 
   if (statements.offset !== null && statements.offset !== undefined) {
-    parts.push(`OFFSET $${paramIndex++}`);
-    params.push(statements.offset);
+    parts.push(`OFFSET ${ctx.parameter(statements.offset)}`);
+  }
+
+  if (statements.lock && statements.lock.mode) {
+    parts.push(compileLock(statements.lock, ctx));
   }
 
   return {
-    sql: parts.join(' '),
-    bindings: params
+    sql: withClause + parts.join(' '),
+    bindings: ctx.params
   };
 }
 
 /**
  * @param {string} tableName
  * @param {Object|Array} data
+ * @param {Object} statements
+ * @param {Object} options
  * @returns {Object}
  */
-function compileInsert(tableName, data) {
+function compileInsert(tableName, data, statements = {}, options = {}) {
   const rows = Array.isArray(data) ? data : [data];
+  if (statements.insertSelect) {
+    const ctx = createCompilerContext(options);
+    const withClause = compileWithClause(statements, ctx);
+    let sql = `${withClause}INSERT INTO ${compileTable(tableName, ctx)}${compileInsertColumns(data, ctx)} ${compileInsertSelect(statements, ctx)}`;
+
+    if (statements.returning) {
+      sql += ` RETURNING ${compileReturning(statements.returning, ctx)}`;
+    }
+
+    return {
+      sql,
+      bindings: ctx.params
+    };
+  }
+
   if (!rows.length) {
     throw new Error('Aucune donnée à insérer');
   }
 
-  const columns = Object.keys(rows[0]);
-  const paramReferences = [];
-  const params = [];
-  let paramIndex = 1;
+  const columns = options.columns || collectInsertColumns(rows);
+  const ctx = createCompilerContext(options);
+  const withClause = compileWithClause(statements, ctx);
+  const paramReferences = compileInsertValues(rows, columns, ctx);
 
-  for (const row of rows) {
-    const rowParams = [];
-    for (const column of columns) {
-      rowParams.push(`$${paramIndex++}`);
-      params.push(row[column]);
-    }
-    paramReferences.push(`(${rowParams.join(', ')})`);
+  let sql = `${withClause}INSERT INTO ${compileTable(tableName, ctx)} (${columns.map(column => compileColumn(column, ctx)).join(', ')}) VALUES ${paramReferences.join(', ')}`;
+
+  if (statements.onConflict) {
+    sql += ` ${compileOnConflict(statements.onConflict, columns, ctx)}`;
   }
 
-  const sql = `INSERT INTO ${tableName} (${columns.join(', ')}) VALUES ${paramReferences.join(', ')} RETURNING id`;
+  if (statements.returning) {
+    sql += ` RETURNING ${compileReturning(statements.returning, ctx)}`;
+  }
 
   return {
     sql,
-    bindings: params
+    bindings: ctx.params
   };
 }
 
 /**
  * @param {string} tableName
  * @param {Object} data
- * @param {Array} whereStatements
- * @param {Array} whereBindings
+ * @param {Object} statements
+ * @param {Object} bindings
+ * @param {Object} options
  * @returns {Object}
  */
-function compileUpdate(tableName, data, whereStatements, whereBindings) {
-  if (!data || Object.keys(data).length === 0) {
+function compileUpdate(tableName, data, statements, bindings, options = {}) {
+  const ctx = createCompilerContext(options);
+  const withClause = compileWithClause(statements, ctx);
+  const setClauses = compileSetClauses(data, statements.increments, ctx);
+
+  if (!setClauses.length) {
     throw new Error('Aucune donnée à mettre à jour');
   }
 
-  const columns = Object.keys(data);
-  const params = [];
-  let paramIndex = 1;
+  let sql = `${withClause}UPDATE ${compileTable(tableName, ctx)} SET ${setClauses.join(', ')}`;
+  const joined = compileJoinSource(statements.join, statements.where, ctx, compileJoin);
 
-  const setClauses = columns.map(column => {
-    params.push(data[column]);
-    return `${column} = $${paramIndex++}`;
-  });
+  if (joined.source) {
+    sql += ` FROM ${joined.source}`;
+  }
 
-  let sql = `UPDATE ${tableName} SET ${setClauses.join(', ')}`;
-
-  if (whereStatements && whereStatements.length) {
-    const whereClauses = [];
-    
-    for (let i = 0; i < whereStatements.length; i++) {
-      const { column, operator, value, boolean } = whereStatements[i];
-      
-      if (i === 0) {
-        whereClauses.push(`${column} ${operator} $${paramIndex++}`);
-      } else {
-        whereClauses.push(`${boolean} ${column} ${operator} $${paramIndex++}`);
-      }
-      
-      params.push(value);
-    }
-    
-    sql += ` WHERE ${whereClauses.join(' ')}`;
+  if (joined.where) {
+    sql += ` WHERE ${joined.where}`;
+  }
+
+  if (statements.returning) {
+    sql += ` RETURNING ${compileReturning(statements.returning, ctx)}`;
   }
 
   return {
     sql,
-    bindings: params
+    bindings: ctx.params
   };
 }
 
 /**
  * @param {string} tableName
- * @param {Array} whereStatements
- * @param {Array} whereBindings
+ * @param {Object} statements
+ * @param {Object} bindings
+ * @param {Object} options
  * @returns {Object}
  */
-function compileDelete(tableName, whereStatements, whereBindings) {
-  const params = [];
-  let paramIndex = 1;
-
-  let sql = `DELETE FROM ${tableName}`;
-
-  if (whereStatements && whereStatements.length) {
-    const whereClauses = [];
-    
-    for (let i = 0; i < whereStatements.length; i++) {
-      const { column, operator, value, boolean } = whereStatements[i];
-      
-      if (i === 0) {
-        whereClauses.push(`${column} ${operator} $${paramIndex++}`);
-      } else {
-        whereClauses.push(`${boolean} ${column} ${operator} $${paramIndex++}`);
-      }
-      
-      params.push(value);
-    }
-    
-    sql += ` WHERE ${whereClauses.join(' ')}`;
+function compileDelete(tableName, statements, bindings, options = {}) {
+  const ctx = createCompilerContext(options);
+  const withClause = compileWithClause(statements, ctx);
+
+  let sql = `${withClause}DELETE FROM ${compileTable(tableName, ctx)}`;
+  const joined = compileJoinSource(statements.join, statements.where, ctx, compileJoin);
+
+  if (joined.source) {
+    sql += ` USING ${joined.source}`;
+  }
+
+  if (joined.where) {
+    sql += ` WHERE ${joined.where}`;
+  }
+
+  if (statements.returning) {
+    sql += ` RETURNING ${compileReturning(statements.returning, ctx)}`;
   }
 
   return {
     sql,
-    bindings: params
+    bindings: ctx.params
   };
 }
 
+/**
+ * @param {Object} onConflict
+ * @param {Array} columns
+ * @param {Object} ctx
+ * @returns {string}
+ * @private
+ */
+function compileOnConflict(onConflict, columns, ctx) {
+  const target = onConflict.columns.length
+    ? ` (${onConflict.columns.map(column => compileColumn(column, ctx)).join(', ')})`
+    : '';
+
+  if (onConflict.action === 'ignore') {
+    return `ON CONFLICT${target} DO NOTHING`;
+  }
+
+  if (!target) {
+    throw new Error('PostgreSQL exige les colonnes de conflit pour merge()');
+  }
+
+  const assignments = compileMergeAssignments(onConflict.merge, columns, ctx, column => `EXCLUDED.${column}`);
+  return `ON CONFLICT${target} DO UPDATE SET ${assignments}`;
+}
+
+/**
+ * @param {string} sql
+ * @param {Array} bindings
+ * @returns {string}
+ */
+function interpolate(sql, bindings) {
+  return interpolateBindings(sql, bindings, escapeLiteral, /\$(\d+)/g);
+}
+
+/**
+ * @param {Object} lock
+ * @returns {string}
+ * @private
+ */
+function compileLock(lock) {
+  const clause = lock.mode === 'share' ? 'FOR SHARE' : 'FOR UPDATE';
+
+  if (lock.wait === 'skipLocked') {
+    return `${clause} SKIP LOCKED`;
+  }
+
+  if (lock.wait === 'noWait') {
+    return `${clause} NOWAIT`;
+  }
+
+  return clause;
+}
+
+/**
+ * @param {Object} search
+ * @param {Object} ctx
+ * @param {boolean} rank
+ * @returns {string}
+ * @private
+ */
+function compileFullText(search, ctx, rank) {
+  const language = search.language || DEFAULT_TEXT_SEARCH_CONFIG;
+  const document = compileTsVector(search.columns.map(column => compileColumn(column, ctx)), language);
+  const query = `${TS_QUERY_FUNCTIONS[search.mode]}(${quoteString(language)}, ${compileValue(search.value, ctx)})`;
+
+  return rank ? `ts_rank(${document}, ${query})` : `${document} @@ ${query}`;
+}
+
+/**
+ * @param {Array} columns
+ * @param {string} language
+ * @returns {string}
+ */
+function compileTsVector(columns, language = DEFAULT_TEXT_SEARCH_CONFIG) {
+  const document = columns.length === 1
+    ? columns[0]
+    : columns.map(column => `coalesce(${column}, '')`).join(` || ' ' || `);
+
+  return `to_tsvector(${quoteString(language)}, ${document})`;
+}
+
+/**
+ * @param {Object} join
+ * @param {Object} ctx
+ * @returns {string}
+ * @private
+ */
+function compileJoin(join, ctx) {
+  const { type, table } = join;
+  let joinClause = '';
+
+  if (type === 'raw') {
+    return compileRaw(table, ctx);
+  }
+
+  if (type === 'cross') {
+    return `CROSS JOIN ${compileTable(table, ctx)}`;
+  }
+  
+  switch (type) {
+    case 'left':
+      joinClause = 'LEFT JOIN';
+      break;
+    case 'right':
+      joinClause = 'RIGHT JOIN';
+      break;
+    case 'full':
+      joinClause = 'FULL JOIN';
+      break;
+    default:
+      joinClause = 'JOIN';
+  }
+  
+  return `${joinClause} ${compileTable(table, ctx)} ON ${compileWhere(join.conditions, ctx)}`;
+}
+
+/**
+ * @param {any} value
+ * @returns {string}
+ * @private
+ */
+function escapeLiteral(value) {
+  if (value === null || value === undefined) {
+    return 'NULL';
+  }
+  if (typeof value === 'boolean') {
+    return value ? 'TRUE' : 'FALSE';
+  }
+  if (typeof value === 'number' || typeof value === 'bigint') {
+    return String(value);
+  }
+  if (value instanceof Date) {
+    return quoteString(value.toISOString());
+  }
+  if (Buffer.isBuffer(value)) {
+    return `'\\x${value.toString('hex')}'`;
+  }
+  if (Array.isArray(value)) {
+    return `ARRAY[${value.map(escapeLiteral).join(', ')}]`;
+  }
+  if (typeof value === 'object') {
+    return quoteString(JSON.stringify(value));
+  }
+  return quoteString(String(value));
+}
+
+/**
+ * @param {string} value
+ * @returns {string}
+ */
+function wrapIdentifier(value) {
+  return quoteIdentifier(value, wrapSegment);
+}
+
+/**
+ * @param {Object} statements
+ * @param {Object} ctx
+ * @returns {string}
+ * @private
+ */
+function compileWithClause(statements, ctx) {
+  if (!statements.with || !statements.with.length) {
+    return '';
+  }
+
+  return `${compileWith(statements.with, ctx)} `;
+}
+
+/**
+ * @param {Object} options
+ * @returns {Object}
+ * @private
+ */
+function createCompilerContext(options = {}) {
+  if (options.ctx) {
+    return options.ctx;
+  }
+
+  return createContext(index => `$${index}`, {
+    version: options.version,
+    compileQuery,
+    distinctOn: true,
+    compileFullText,
+    wrapSegment
+  });
+}
+
+/**
+ * @param {QueryBuilder} builder
+ * @param {Object} ctx
+ * @returns {string}
+ * @private
+ */
+function compileQuery(builder, ctx) {
+  return compileSelect(builder.tableName, builder.statements, builder.bindings, { ctx }).sql;
+}
+
 module.exports = {
   compileSelect,
   compileInsert,
   compileUpdate,
-  compileDelete
+  compileDelete,
+  wrapIdentifier,
+  compileTsVector,
+  interpolate,
+  supportsReturning: true,
+  maxParameters: 65535
 }; 
\ No newline at end of file
@@ -1,3 +1,8 @@
+const { quoteString, createSchemaWrappers } = require('../../utils/compiler-helpers');
+const { wrapIdentifier, compileTsVector } = require('./query-compiler');
+
+const { wrapColumns, wrapName } = createSchemaWrappers(wrapIdentifier);
+
 /**
  * @type {Object}
  */
@@ -32,26 +37,30 @@ function compileCreateTable(tableName, columns, constraints) {
   }
   
   if (constraints.primaryKey && constraints.primaryKey.length) {
-    constraintDefinitions.push(`PRIMARY KEY (${constraints.primaryKey.join(', ')})`);
+    constraintDefinitions.push(`PRIMARY KEY (${wrapColumns(constraints.primaryKey)})`);
   }
   
   if (constraints.unique && constraints.unique.length) {
     for (let i = 0; i < constraints.unique.length; i++) {
       const uniqueColumns = constraints.unique[i];
-      constraintDefinitions.push(`UNIQUE (${uniqueColumns.join(', ')})`);
+      constraintDefinitions.push(`UNIQUE (${wrapColumns(uniqueColumns)})`);
     }
   }
   
   if (constraints.foreignKeys && constraints.foreignKeys.length) {
     for (const fk of constraints.foreignKeys) {
       constraintDefinitions.push(
-        `FOREIGN KEY (${fk.column}) REFERENCES ${fk.referenceTable}(${fk.referenceColumn})`
+        `FOREIGN KEY (${wrapIdentifier(fk.column)}) REFERENCES ${wrapIdentifier(fk.referenceTable)}(${wrapIdentifier(fk.referenceColumn)})`
       );
     }
   }
   
   const allDefinitions = [...columnDefinitions, ...constraintDefinitions];
-  const sql = `CREATE TABLE ${tableName} (${allDefinitions.join(', ')})`;
+  const statements = [
+    `CREATE TABLE ${wrapIdentifier(tableName)} (${allDefinitions.join(', ')})`,
+    ...compileFullTextIndexes(tableName, constraints.fullText)
+  ];
+  const sql = statements.join('; ');
   
   return {
     sql,
@@ -70,12 +79,12 @@ function compileAlterTable(tableName, columns, constraints) {
   const bindings = [];
   
   for (const column of columns) {
-    alterStatements.push(`ALTER TABLE ${tableName} ADD COLUMN ${compileColumn(column)}`);
+    alterStatements.push(`ALTER TABLE ${wrapIdentifier(tableName)} ADD COLUMN ${compileColumn(column)}`);
   }
   
   if (constraints.primaryKey && constraints.primaryKey.length) {
     alterStatements.push(
-      `ALTER TABLE ${tableName} ADD PRIMARY KEY (${constraints.primaryKey.join(', ')})`
+      `ALTER TABLE ${wrapIdentifier(tableName)} ADD PRIMARY KEY (${wrapColumns(constraints.primaryKey)})`
     );
   }
   
@@ -83,7 +92,7 @@ function compileAlterTable(tableName, columns, constraints) {
     for (let i = 0; i < constraints.unique.length; i++) {
       const uniqueColumns = constraints.unique[i];
       alterStatements.push(
-        `ALTER TABLE ${tableName} ADD CONSTRAINT ${tableName}_unique_${i} UNIQUE (${uniqueColumns.join(', ')})`
+        `ALTER TABLE ${wrapIdentifier(tableName)} ADD CONSTRAINT ${wrapName(`${tableName}_unique_${i}`)} UNIQUE (${wrapColumns(uniqueColumns)})`
       );
     }
   }
@@ -92,8 +101,8 @@ function compileAlterTable(tableName, columns, constraints) {
     for (let i = 0; i < constraints.foreignKeys.length; i++) {
       const fk = constraints.foreignKeys[i];
       alterStatements.push(
-        `ALTER TABLE ${tableName} ADD CONSTRAINT ${tableName}_fk_${i} ` +
-        `FOREIGN KEY (${fk.column}) REFERENCES ${fk.referenceTable}(${fk.referenceColumn})`
+        `ALTER TABLE ${wrapIdentifier(tableName)} ADD CONSTRAINT ${wrapName(`${tableName}_fk_${i}`)} ` +
+        `FOREIGN KEY (${wrapIdentifier(fk.column)}) REFERENCES ${wrapIdentifier(fk.referenceTable)}(${wrapIdentifier(fk.referenceColumn)})`
       );
     }
   }
@@ -103,11 +112,13 @@ function compileAlterTable(tableName, columns, constraints) {
       const idx = constraints.index[i];
       const indexName = idx.name || `${tableName}_idx_${i}`;
       alterStatements.push(
-        `CREATE INDEX ${indexName} ON ${tableName}(${idx.columns.join(', ')})`
+        `CREATE INDEX ${wrapName(indexName)} ON ${wrapIdentifier(tableName)}(${wrapColumns(idx.columns)})`
       );
     }
   }
   
+  alterStatements.push(...compileFullTextIndexes(tableName, constraints.fullText));
+  
   return {
     sql: alterStatements.join('; '),
     bindings
@@ -120,7 +131,7 @@ function compileAlterTable(tableName, columns, constraints) {
  */
 function compileDropTable(tableName) {
   return {
-    sql: `DROP TABLE IF EXISTS ${tableName}`,
+    sql: `DROP TABLE IF EXISTS ${wrapIdentifier(tableName)}`,
     bindings: []
   };
 }
@@ -154,7 +165,7 @@ function compileColumnExists(tableName, columnName) {
  * @private
  */
 function compileColumn(column) {
-  const parts = [column.name];
+  const parts = [wrapIdentifier(column.name)];
   
   if (typeof DATA_TYPES[column.type] === 'function') {
     if (column.type === 'string') {
@@ -176,7 +187,7 @@ function compileColumn(column) {
   
   if (column.defaultValue !== undefined) {
     if (typeof column.defaultValue === 'string') {
-      parts.push(`DEFAULT '${column.defaultValue}'`);
+      parts.push(`DEFAULT ${quoteString(column.defaultValue)}`);
     } else if (column.defaultValue === null) {
       parts.push('DEFAULT NULL');
     } else {
@@ -187,6 +198,20 @@ function compileColumn(column) {
   return parts.join(' ');
 }
 
+/**
+ * @param {string} tableName
+ * @param {Array} fullText
+ * @returns {Array}
+ * @private
+ */
+function compileFullTextIndexes(tableName, fullText = []) {
+  return fullText.map((index, i) => {
+    const indexName = index.name || `${tableName}_fulltext_${i}`;
+    const document = compileTsVector(index.columns.map(wrapIdentifier), index.language);
+    return `CREATE INDEX ${wrapName(indexName)} ON ${wrapIdentifier(tableName)} USING GIN (${document})`;
+  });
+}
+
 module.exports = {
   compileCreateTable,
   compileAlterTable,
@@ -3,6 +3,7 @@ const queryCompiler = require('./query-compiler');
 const schemaCompiler = require('./schema-compiler');
 const path = require('path');
 const fs = require('fs');
+const { Readable } = require('stream');
 
 /**
  * @param {Object} connectionConfig
@@ -68,22 +69,18 @@ async function destroyPool(db) {
  * @param {sqlite3.Database} db
  * @param {string} sql
  * @param {Array} bindings
+ * @param {Object} options
  * @returns {Promise<Object[]>}
  */
-async function executeQuery(db, sql, bindings = []) {
+async function executeQuery(db, sql, bindings = [], options = {}) {
   return new Promise((resolve, reject) => {
-    const firstWord = sql.trim().split(' ')[0].toUpperCase();
+    const method = options.method || sql.trim().split(/\s+/)[0].toLowerCase();
     
-    if (firstWord === 'SELECT') {
+    if (method === 'select' || options.returning) {
       db.all(sql, bindings, (err, rows) => {
         if (err) return reject(err);
         resolve(rows);
       });
-    } else if (firstWord === 'INSERT') {
-      db.run(sql, bindings, function(err) {
-        if (err) return reject(err);
-        resolve([this.lastID]);
-      });
     } else {
       db.run(sql, bindings, function(err) {
         if (err) return reject(err);
@@ -93,6 +90,55 @@ async function executeQuery(db, sql, bindings = []) {
   });
 }
 
+/**
+ * @param {sqlite3.Database} db
+ * @param {string} sql
+ * @param {Array} bindings
+ * @returns {Readable}
+ */
+function streamQuery(db, sql, bindings = []) {
+  let statement = null;
+  let reading = false;
+
+  const finalize = (callback) => {
+    if (!statement) return callback();
+    const current = statement;
+    statement = null;
+    current.finalize(() => callback());
+  };
+
+  const readRow = () => {
+    reading = true;
+    statement.get((err, row) => {
+      if (stream.destroyed) return;
+      if (err) return stream.destroy(err);
+      if (row === undefined) return finalize(() => stream.push(null));
+      reading = false;
+      if (stream.push(row)) readRow();
+    });
+  };
+
+  const stream = new Readable({
+    objectMode: true,
+    read() {
+      if (reading) return;
+      if (!statement) {
+        statement = db.prepare(sql, bindings, (err) => {
+          if (!err) return;
+          statement = null;
+          stream.destroy(err);
+        });
+      }
+      readRow();
+    },
+    destroy(err, callback) {
+      finalize(() => callback(err));
+    }
+  });
+
+  return stream;
+}
+
 /**
  * @param {sqlite3.Database} db
  * @returns {Promise<void>}
@@ -138,6 +184,7 @@ module.exports = {
   releaseConnection,
   destroyPool,
   executeQuery,
+  streamQuery,
   beginTransaction,
   commitTransaction,
   rollbackTransaction,
@@ -1,222 +1,501 @@
+const {
+  createContext,
+  createIdentifierWrapper,
+  quoteIdentifier,
+  isVersionBefore,
+  compileRaw,
+  compileValue,
+  compileSetClauses,
+  compileTableReference,
+  stripTableAlias,
+  compileJoinSource,
+  compileInsertSelect,
+  compileInsertColumns,
+  collectInsertColumns,
+  compileInsertValues,
+  compileColumn,
+  compileColumns,
+  compileDistinct,
+  compileOrderBy,
+  hasWindowFunction,
+  compileWith,
+  compileUnions,
+  compileMergeAssignments,
+  compileReturning,
+  interpolateBindings,
+  quoteString,
+  compileTable,
+  compileWhere
+} = require('../../utils/compiler-helpers');
+const Raw = require('../../raw');
+
+const wrapSegment = createIdentifierWrapper('"', '"');
+
 /**
  * @param {string} tableName
  * @param {Object} statements
  * @param {Object} bindings
+ * @param {Object} options
  * @returns {Object}
  */
-function compileSelect(tableName, statements, bindings) {
+function compileSelect(tableName, statements, bindings, options = {}) {
   const parts = ['SELECT'];
-  const params = [];
+  const ctx = createCompilerContext(options);
+  const withClause = compileWithClause(statements, ctx);
+
+  if (hasWindowFunction(statements.select) && isVersionBefore(ctx.version, '3.25.0')) {
+    throw new Error(`SQLite ${ctx.version} ne supporte pas les fonctions de fenêtrage (3.25.0 minimum)`);
+  }
+
+  const distinct = compileDistinct(statements, ctx);
+  if (distinct) {
+    parts.push(distinct);
+  }
 
   if (statements.select && statements.select.length) {
-    parts.push(statements.select.join(', '));
+    parts.push(compileColumns(statements.select, ctx));
   } else {
     parts.push('*');
   }
 
-  parts.push(`FROM ${tableName}`);
+  parts.push(`FROM ${compileTable(tableName, ctx)}`);
 
   if (statements.join && statements.join.length) {
     for (const join of statements.join) {
-      const { type, table, first, operator, second } = join;
-      let joinClause = '';
-      
-      switch (type) {
-        case 'left':
-          joinClause = 'LEFT JOIN';
-          break;
-        case 'right':
-          joinClause = 'LEFT JOIN';
-          console.warn('SQLite ne supporte pas RIGHT JOIN, utilisation de LEFT JOIN à la place');
-          break;
-        case 'full':
-          joinClause = 'LEFT JOIN';
-          console.warn('SQLite ne supporte pas FULL JOIN, utilisation de LEFT JOIN à la place');
-          break;
-        default:
-          joinClause = 'JOIN';
-      }
-      
-      parts.push(`${joinClause} ${table} ON ${first} ${operator} ${second}`);
+      parts.push(compileJoin(join, ctx));
     }
   }
 
   if (statements.where && statements.where.length) {
-    const whereClauses = [];
-    
-    for (let i = 0; i < statements.where.length; i++) {
-      const { column, operator, value, boolean } = statements.where[i];
-      
-      if (i === 0) {
-        whereClauses.push(`${column} ${operator} ?`);
-      } else {
-        whereClauses.push(`${boolean} ${column} ${operator} ?`);
-      }
-      
-      params.push(value);
-    }
-    
-    parts.push(`WHERE ${whereClauses.join(' ')}`);
+    parts.push(`WHERE ${compileWhere(statements.where, ctx)}`);
   }
 
   if (statements.groupBy && statements.groupBy.length) {
-    parts.push(`GROUP BY ${statements.groupBy.join(', ')}`);
+    parts.push(`GROUP BY ${compileColumns(statements.groupBy, ctx)}`);
   }
 
   if (statements.having && statements.having.length) {
-    const havingClauses = [];
-    
-    for (let i = 0; i < statements.having.length; i++) {
-      const { column, operator, value, boolean } = statements.having[i];
-      
-      if (i === 0) {
-        havingClauses.push(`${column} ${operator} ?`);
-      } else {
-        havingClauses.push(`${boolean} ${column} ${operator} ?`);
-      }
-      
-      params.push(value);
-    }
-    
-    parts.push(`HAVING ${havingClauses.join(' ')}`);
+    parts.push(`HAVING ${compileWhere(statements.having, ctx)}`);
+  }
+
+  if (statements.union && statements.union.length) {
+    parts.push(compileUnions(statements.union, ctx, false));
   }
 
   if (statements.orderBy && statements.orderBy.length) {
-    const orders = statements.orderBy.map(order => `${order.column} ${order.direction.toUpperCase()}`);
-    parts.push(`ORDER BY ${orders.join(', ')}`);
+    parts.push(`ORDER BY ${compileOrderBy(statements.orderBy, ctx)}`);
   }
 
   if (statements.limit !== null && statements.limit !== undefined) {
-    parts.push(`LIMIT ?`);
-    params.push(statements.limit);
+    parts.push(`LIMIT ${ctx.parameter(statements.limit)}`);
     
     if (statements.offset !== null && statements.offset !== undefined) {
-      parts.push(`OFFSET ?`);
-      params.push(statements.offset);
+      parts.push(`OFFSET ${ctx.parameter(statements.offset)}`);
     }
   }
 
+  if (statements.lock && statements.lock.mode) {
+    console.warn('SQLite ne supporte pas le verrouillage de lignes, forUpdate() et forShare() sont ignorés');
+  }
+
   return {
-    sql: parts.join(' '),
-    bindings: params
+    sql: withClause + parts.join(' '),
+    bindings: ctx.params
   };
 }
 
 /**
  * @param {string} tableName
  * @param {Object|Array} data
+ * @param {Object} statements
+ * @param {Object} options
  * @returns {Object}
  */
-function compileInsert(tableName, data) {
+function compileInsert(tableName, data, statements = {}, options = {}) {
   const rows = Array.isArray(data) ? data : [data];
+  if (statements.insertSelect) {
+    const ctx = createCompilerContext(options);
+    const withClause = compileWithClause(statements, ctx);
+    let sql = `${withClause}INSERT INTO ${compileTable(tableName, ctx)}${compileInsertColumns(data, ctx)} ${compileInsertSelect(statements, ctx)}`;
+
+    if (statements.returning) {
+      sql += ` RETURNING ${compileReturningClause(statements.returning, ctx)}`;
+    }
+
+    return {
+      sql,
+      bindings: ctx.params
+    };
+  }
+
   if (!rows.length) {
     throw new Error('Aucune donnée à insérer');
   }
 
-  const columns = Object.keys(rows[0]);
-  const paramPlaceholders = [];
-  const params = [];
+  const columns = options.columns || collectInsertColumns(rows);
+  const ctx = createCompilerContext(options);
+  const withClause = compileWithClause(statements, ctx);
+  const paramPlaceholders = compileInsertValues(rows, columns, ctx, 'NULL');
 
-  for (const row of rows) {
-    const rowParams = [];
-    for (const column of columns) {
-      rowParams.push('?');
-      params.push(row[column]);
-    }
-    paramPlaceholders.push(`(${rowParams.join(', ')})`);
+  const onConflict = statements.onConflict;
+  const legacyIgnore = onConflict && onConflict.action === 'ignore' && isVersionBefore(ctx.version, '3.24.0');
+  let sql = `${withClause}INSERT ${legacyIgnore ? 'OR IGNORE ' : ''}INTO ${compileTable(tableName, ctx)} (${columns.map(column => compileColumn(column, ctx)).join(', ')}) VALUES ${paramPlaceholders.join(', ')}`;
+
+  if (onConflict && !legacyIgnore) {
+    sql += ` ${compileOnConflict(onConflict, columns, ctx)}`;
   }
 
-  const sql = `INSERT INTO ${tableName} (${columns.join(', ')}) VALUES ${paramPlaceholders.join(', ')}`;
+  if (statements.returning) {
+    sql += ` RETURNING ${compileReturningClause(statements.returning, ctx)}`;
+  }
 
   return {
     sql,
-    bindings: params
+    bindings: ctx.params
   };
 }
 
 /**
  * @param {string} tableName
  * @param {Object} data
- * @param {Array} whereStatements
- * @param {Array} whereBindings
+ * @param {Object} statements
+ * @param {Object} bindings
+ * @param {Object} options
  * @returns {Object}
  */
-function compileUpdate(tableName, data, whereStatements, whereBindings) {
-  if (!data || Object.keys(data).length === 0) {
+function compileUpdate(tableName, data, statements, bindings, options = {}) {
+  const ctx = createCompilerContext(options);
+  const withClause = compileWithClause(statements, ctx);
+  const setClauses = compileSetClauses(data, statements.increments, ctx);
+
+  if (!setClauses.length) {
     throw new Error('Aucune donnée à mettre à jour');
   }
 
-  const columns = Object.keys(data);
-  const params = [];
+  let sql = `${withClause}UPDATE ${compileTable(tableName, ctx)} SET ${setClauses.join(', ')}`;
 
-  const setClauses = columns.map(column => {
-    params.push(data[column]);
-    return `${column} = ?`;
-  });
+  if (isVersionBefore(ctx.version, '3.33.0')) {
+    assertJoinedValues(data, statements.join, ctx);
+    sql += compileJoinedWhere(statements, ctx);
+  } else {
+    const joined = compileJoinSource(statements.join, statements.where, ctx, compileJoin);
 
-  let sql = `UPDATE ${tableName} SET ${setClauses.join(', ')}`;
+    if (joined.source) {
+      sql += ` FROM ${joined.source}`;
+    }
 
-  if (whereStatements && whereStatements.length) {
-    const whereClauses = [];
-    
-    for (let i = 0; i < whereStatements.length; i++) {
-      const { column, operator, value, boolean } = whereStatements[i];
-      
-      if (i === 0) {
-        whereClauses.push(`${column} ${operator} ?`);
-      } else {
-        whereClauses.push(`${boolean} ${column} ${operator} ?`);
-      }
-      
-      params.push(value);
+    if (joined.where) {
+      sql += ` WHERE ${joined.where}`;
     }
-    
-    sql += ` WHERE ${whereClauses.join(' ')}`;
+  }
+
+  if (statements.returning) {
+    sql += ` RETURNING ${compileReturningClause(statements.returning, ctx)}`;
   }
 
   return {
     sql,
-    bindings: params
+    bindings: ctx.params
   };
 }
 
 /**
  * @param {string} tableName
- * @param {Array} whereStatements
- * @param {Array} whereBindings
+ * @param {Object} statements
+ * @param {Object} bindings
+ * @param {Object} options
  * @returns {Object}
  */
-function compileDelete(tableName, whereStatements, whereBindings) {
-  const params = [];
+function compileDelete(tableName, statements, bindings, options = {}) {
+  const ctx = createCompilerContext(options);
+  const withClause = compileWithClause(statements, ctx);
 
-  let sql = `DELETE FROM ${tableName}`;
-  if (whereStatements && whereStatements.length) {
-    const whereClauses = [];
-    
-    for (let i = 0; i < whereStatements.length; i++) {
-      const { column, operator, value, boolean } = whereStatements[i];
-      
-      if (i === 0) {
-        whereClauses.push(`${column} ${operator} ?`);
-      } else {
-        whereClauses.push(`${boolean} ${column} ${operator} ?`);
-      }
-      
-      params.push(value);
-    }
-    
-    sql += ` WHERE ${whereClauses.join(' ')}`;
+  let sql = `${withClause}DELETE FROM ${compileTable(tableName, ctx)}`;
+  sql += compileJoinedWhere(statements, ctx);
+
+  if (statements.returning) {
+    sql += ` RETURNING ${compileReturningClause(statements.returning, ctx)}`;
   }
 
   return {
     sql,
-    bindings: params
+    bindings: ctx.params
   };
 }
 
+/**
+ * @param {Object} onConflict
+ * @param {Array} columns
+ * @param {Object} ctx
+ * @returns {string}
+ * @private
+ */
+function compileOnConflict(onConflict, columns, ctx) {
+  const target = onConflict.columns.length
+    ? ` (${onConflict.columns.map(column => compileColumn(column, ctx)).join(', ')})`
+    : '';
+
+  if (onConflict.action === 'ignore') {
+    return `ON CONFLICT${target} DO NOTHING`;
+  }
+
+  if (isVersionBefore(ctx.version, '3.24.0')) {
+    throw new Error(`SQLite ${ctx.version} ne supporte pas ON CONFLICT ... DO UPDATE (3.24.0 minimum)`);
+  }
+
+  if (!target) {
+    throw new Error('SQLite exige les colonnes de conflit pour merge()');
+  }
+
+  const assignments = compileMergeAssignments(onConflict.merge, columns, ctx, column => `excluded.${column}`);
+  return `ON CONFLICT${target} DO UPDATE SET ${assignments}`;
+}
+
+/**
+ * @param {Object} returning
+ * @param {Object} ctx
+ * @returns {string}
+ * @private
+ */
+function compileReturningClause(returning, ctx) {
+  if (isVersionBefore(ctx.version, '3.35.0')) {
+    throw new Error(`SQLite ${ctx.version} ne supporte pas RETURNING (3.35.0 minimum)`);
+  }
+
+  return compileReturning(returning, ctx);
+}
+
+/**
+ * @param {string} sql
+ * @param {Array} bindings
+ * @returns {string}
+ */
+function interpolate(sql, bindings) {
+  return interpolateBindings(sql, bindings, escapeLiteral);
+}
+
+/**
+ * @param {Object} statements
+ * @param {Object} ctx
+ * @returns {string}
+ * @private
+ */
+function compileJoinedWhere(statements, ctx) {
+  const joined = compileJoinSource(statements.join, statements.where, ctx, compileJoin);
+
+  if (joined.source) {
+    return ` WHERE EXISTS (SELECT 1 FROM ${joined.source}${joined.where ? ` WHERE ${joined.where}` : ''})`;
+  }
+
+  return joined.where ? ` WHERE ${joined.where}` : '';
+}
+
+/**
+ * @param {Object} search
+ * @param {Object} ctx
+ * @param {boolean} rank
+ * @returns {string}
+ * @private
+ */
+function compileFullText(search, ctx, rank) {
+  const reference = compileTableReference(search.table, ctx);
+
+  if (rank) {
+    return `-${reference}.${wrapSegment('rank')}`;
+  }
+
+  const table = stripTableAlias(search.table).split('.').pop();
+  const columns = search.columns.map(column => quoteFtsString(String(column).split('.').pop()));
+
+  return `${reference}.${wrapSegment(table)} MATCH ${compileValue(`{${columns.join(' ')}} : (${compileFtsQuery(search)})`, ctx)}`;
+}
+
+/**
+ * @param {Object} search
+ * @returns {string}
+ * @private
+ */
+function compileFtsQuery(search) {
+  if (search.mode === 'boolean') {
+    return search.value;
+  }
+
+  if (search.mode === 'phrase') {
+    return quoteFtsString(search.value);
+  }
+
+  const terms = search.value.split(/\s+/).filter(Boolean);
+  return terms.length ? terms.map(quoteFtsString).join(' ') : '""';
+}
+
+/**
+ * @param {string} value
+ * @returns {string}
+ * @private
+ */
+function quoteFtsString(value) {
+  return `"${value.replace(/"/g, '""')}"`;
+}
+
+/**
+ * @param {Object} data
+ * @param {Array} joins
+ * @param {Object} ctx
+ * @private
+ */
+function assertJoinedValues(data, joins, ctx) {
+  const references = (joins || [])
+    .map(join => {
+      if (typeof join.table !== 'string') {
+        return join.table && join.table.statements ? join.table.statements.alias : null;
+      }
+      const aliased = join.table.match(/^(.+?)\s+as\s+(.+)$/i);
+      return aliased ? aliased[2].trim() : join.table.split('.').pop();
+    })
+    .filter(Boolean);
+
+  for (const value of Object.values(data || {})) {
+    if (!(value instanceof Raw)) {
+      continue;
+    }
+
+    const reference = references.find(name => {
+      const escaped = name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      return new RegExp(`(^|[^\\w.])["\`\\[]?${escaped}["\`\\]]?\\.`).test(value.sql);
+    });
+
+    if (reference) {
+      throw new Error(`SQLite ${ctx.version} ne permet pas d'utiliser la table jointe '${reference}' dans SET (3.33.0 minimum)`);
+    }
+  }
+}
+
+/**
+ * @param {Object} join
+ * @param {Object} ctx
+ * @returns {string}
+ * @private
+ */
+function compileJoin(join, ctx) {
+  const { type, table } = join;
+  let joinClause = '';
+
+  if (type === 'raw') {
+    return compileRaw(table, ctx);
+  }
+
+  if (type === 'cross') {
+    return `CROSS JOIN ${compileTable(table, ctx)}`;
+  }
+  
+  switch (type) {
+    case 'left':
+      joinClause = 'LEFT JOIN';
+      break;
+    case 'right':
+      if (isVersionBefore(ctx.version, '3.39.0')) {
+        throw new Error(`SQLite ${ctx.version} ne supporte pas RIGHT JOIN (3.39.0 minimum)`);
+      }
+      joinClause = 'RIGHT JOIN';
+      break;
+    case 'full':
+      if (isVersionBefore(ctx.version, '3.39.0')) {
+        throw new Error(`SQLite ${ctx.version} ne supporte pas FULL JOIN (3.39.0 minimum)`);
+      }
+      joinClause = 'FULL JOIN';
+      break;
+    default:
+      joinClause = 'JOIN';
+  }
+  
+  return `${joinClause} ${compileTable(table, ctx)} ON ${compileWhere(join.conditions, ctx)}`;
+}
+
+/**
+ * @param {any} value
+ * @returns {string}
+ * @private
+ */
+function escapeLiteral(value) {
+  if (value === null || value === undefined) {
+    return 'NULL';
+  }
+  if (typeof value === 'boolean') {
+    return value ? '1' : '0';
+  }
+  if (typeof value === 'number' || typeof value === 'bigint') {
+    return String(value);
+  }
+  if (value instanceof Date) {
+    return String(value.getTime());
+  }
+  if (Buffer.isBuffer(value)) {
+    return `X'${value.toString('hex')}'`;
+  }
+  if (typeof value === 'object') {
+    return quoteString(JSON.stringify(value));
+  }
+  return quoteString(String(value));
+}
+
+/**
+ * @param {string} value
+ * @returns {string}
+ */
+function wrapIdentifier(value) {
+  return quoteIdentifier(value, wrapSegment);
+}
+
+/**
+ * @param {Object} statements
+ * @param {Object} ctx
+ * @returns {string}
+ * @private
+ */
+function compileWithClause(statements, ctx) {
+  if (!statements.with || !statements.with.length) {
+    return '';
+  }
+
+  return `${compileWith(statements.with, ctx)} `;
+}
+
+/**
+ * @param {Object} options
+ * @returns {Object}
+ * @private
+ */
+function createCompilerContext(options = {}) {
+  if (options.ctx) {
+    return options.ctx;
+  }
+
+  return createContext(() => '?', {
+    version: options.version,
+    compileQuery,
+    rowValues: !isVersionBefore(options.version, '3.15.0'),
+    compileFullText,
+    wrapSegment
+  });
+}
+
+/**
+ * @param {QueryBuilder} builder
+ * @param {Object} ctx
+ * @returns {string}
+ * @private
+ */
+function compileQuery(builder, ctx) {
+  return compileSelect(builder.tableName, builder.statements, builder.bindings, { ctx }).sql;
+}
+
 module.exports = {
   compileSelect,
   compileInsert,
   compileUpdate,
-  compileDelete
+  compileDelete,
+  wrapIdentifier,
+  interpolate,
+  supportsReturning: true,
+  maxParameters: 999
 }; 
\ No newline at end of file
@@ -1,3 +1,8 @@
+const { quoteString, createSchemaWrappers } = require('../../utils/compiler-helpers');
+const { wrapIdentifier } = require('./query-compiler');
+
+const { wrapColumns, wrapName } = createSchemaWrappers(wrapIdentifier);
+
 /**
  * @type {Object}
  */
@@ -24,6 +29,10 @@ const DATA_TYPES = {
  * @returns {Object}
  */
 function compileCreateTable(tableName, columns, constraints) {
+  if (constraints.fullText && constraints.fullText.length) {
+    return compileVirtualTable(tableName, columns, constraints);
+  }
+  
   const columnDefinitions = [];
   
   for (const column of columns) {
@@ -43,26 +52,26 @@ function compileCreateTable(tableName, columns, constraints) {
   }
   
   if (constraints.primaryKey && constraints.primaryKey.length > 1) {
-    columnDefinitions.push(`PRIMARY KEY (${constraints.primaryKey.join(', ')})`);
+    columnDefinitions.push(`PRIMARY KEY (${wrapColumns(constraints.primaryKey)})`);
   }
   
   if (constraints.unique && constraints.unique.length) {
     for (let i = 0; i < constraints.unique.length; i++) {
       const uniqueColumns = constraints.unique[i];
-      columnDefinitions.push(`UNIQUE (${uniqueColumns.join(', ')})`);
+      columnDefinitions.push(`UNIQUE (${wrapColumns(uniqueColumns)})`);
     }
   }
   
   if (constraints.foreignKeys && constraints.foreignKeys.length) {
     for (const fk of constraints.foreignKeys) {
       columnDefinitions.push(
-        `FOREIGN KEY (${fk.column}) REFERENCES ${fk.referenceTable} ` +
-        `(${fk.referenceColumn}) ON DELETE CASCADE`
+        `FOREIGN KEY (${wrapIdentifier(fk.column)}) REFERENCES ${wrapIdentifier(fk.referenceTable)} ` +
+        `(${wrapIdentifier(fk.referenceColumn)}) ON DELETE CASCADE`
       );
     }
   }
   
-  const sql = `CREATE TABLE ${tableName} (${columnDefinitions.join(', ')})`;
+  const sql = `CREATE TABLE ${wrapIdentifier(tableName)} (${columnDefinitions.join(', ')})`;
   
   return {
     sql,
@@ -86,13 +95,14 @@ function compileAlterTable(tableName, columns, constraints) {
       column.nullable = true;
     }
     
-    alterStatements.push(`ALTER TABLE ${tableName} ADD COLUMN ${compileColumn(column)}`);
+    alterStatements.push(`ALTER TABLE ${wrapIdentifier(tableName)} ADD COLUMN ${compileColumn(column)}`);
   }
   
   if ((constraints.primaryKey && constraints.primaryKey.length) || 
       (constraints.unique && constraints.unique.length) ||
       (constraints.foreignKeys && constraints.foreignKeys.length) ||
-      (constraints.index && constraints.index.length)) {
+      (constraints.index && constraints.index.length) ||
+      (constraints.fullText && constraints.fullText.length)) {
     console.warn('SQLite ne permet pas d\'ajouter des contraintes avec ALTER TABLE directement. ' +
                 'Considérez recréer la table avec les nouvelles contraintes.');
   }
@@ -102,7 +112,7 @@ function compileAlterTable(tableName, columns, constraints) {
       const idx = constraints.index[i];
       const indexName = idx.name || `${tableName}_idx_${i}`;
       alterStatements.push(
-        `CREATE INDEX IF NOT EXISTS ${indexName} ON ${tableName}(${idx.columns.join(', ')})`
+        `CREATE INDEX IF NOT EXISTS ${wrapName(indexName)} ON ${wrapIdentifier(tableName)}(${wrapColumns(idx.columns)})`
       );
     }
   }
@@ -123,7 +133,7 @@ function compileAlterTable(tableName, columns, constraints) {
  */
 function compileDropTable(tableName) {
   return {
-    sql: `DROP TABLE IF EXISTS ${tableName}`,
+    sql: `DROP TABLE IF EXISTS ${wrapIdentifier(tableName)}`,
     bindings: []
   };
 }
@@ -146,7 +156,7 @@ function compileTableExists(tableName) {
  */
 function compileColumnExists(tableName, columnName) {
   return {
-    sql: `PRAGMA table_info(${tableName})`,
+    sql: `PRAGMA table_info(${wrapIdentifier(tableName)})`,
     bindings: []
   };
 }
@@ -157,7 +167,7 @@ function compileColumnExists(tableName, columnName) {
  * @private
  */
 function compileColumn(column) {
-  const parts = [column.name];
+  const parts = [wrapIdentifier(column.name)];
   
   if (typeof DATA_TYPES[column.type] === 'function') {
     parts.push(DATA_TYPES[column.type](column.length));
@@ -171,7 +181,7 @@ function compileColumn(column) {
   
   if (column.defaultValue !== undefined) {
     if (typeof column.defaultValue === 'string') {
-      parts.push(`DEFAULT '${column.defaultValue}'`);
+      parts.push(`DEFAULT ${quoteString(column.defaultValue)}`);
     } else if (column.defaultValue === null) {
       parts.push('DEFAULT NULL');
     } else {
@@ -182,6 +192,59 @@ function compileColumn(column) {
   return parts.join(' ');
 }
 
+/**
+ * @param {string} tableName
+ * @param {Array} columns
+ * @param {Object} constraints
+ * @returns {Object}
+ * @private
+ */
+function compileVirtualTable(tableName, columns, constraints) {
+  const indexed = [].concat(...constraints.fullText.map(index => index.columns));
+  const rowid = columns.filter(column => column.autoIncrement).map(column => column.name);
+  const names = columns.map(column => column.name).filter(name => !rowid.includes(name));
+  
+  for (const column of indexed) {
+    if (!names.includes(column)) {
+      names.push(column);
+    }
+  }
+  
+  const unsupported = [];
+  
+  if (rowid.length > 1) {
+    unsupported.push('plusieurs colonnes increments()');
+  }
+  if (constraints.primaryKey && constraints.primaryKey.some(column => !rowid.includes(column))) {
+    unsupported.push('une clé primaire hors increments()');
+  }
+  if (constraints.unique && constraints.unique.length) {
+    unsupported.push('une contrainte unique');
+  }
+  if (constraints.foreignKeys && constraints.foreignKeys.length) {
+    unsupported.push('une clé étrangère');
+  }
+  for (const column of columns) {
+    if (!column.autoIncrement && (!column.nullable || column.defaultValue !== undefined)) {
+      unsupported.push(`NOT NULL ou DEFAULT sur ${column.name}`);
+    }
+  }
+  
+  if (unsupported.length) {
+    throw new Error(`La table FTS5 ${tableName} ne peut pas porter ${unsupported.join(', ')} : ` +
+                    'seules les colonnes et le rowid sont conservés');
+  }
+  
+  const definitions = names.map(name => {
+    return indexed.includes(name) ? wrapIdentifier(name) : `${wrapIdentifier(name)} UNINDEXED`;
+  });
+  
+  return {
+    sql: `CREATE VIRTUAL TABLE ${wrapIdentifier(tableName)} USING fts5(${definitions.join(', ')})`,
+    bindings: []
+  };
+}
+
 module.exports = {
   compileCreateTable,
   compileAlterTable,
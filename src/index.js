@@ -33,9 +33,32 @@ function vesperDB(config = {}) {
   }
   
   instance.transaction = function(cb) {
-    return client.transaction(cb);
+    return client.transaction(trxClient => {
+      const trx = function(tableName) {
+        return new QueryBuilder(trxClient, tableName);
+      };
+
+      trx.client = trxClient;
+      trx.raw = function(sql, bindings) {
+        return trxClient.raw(sql, bindings);
+      };
+      trx.batchInsert = function(tableName, rows, chunkSize) {
+        return new QueryBuilder(trxClient, tableName).batchInsert(rows, chunkSize);
+      };
+
+      return cb(trx);
+    });
   };
   
+  instance.defineScope = function(tableName, name, callback) {
+    client.defineScope(tableName, name, callback);
+    return instance;
+  };
+
+  instance.batchInsert = function(tableName, rows, chunkSize) {
+    return new QueryBuilder(client, tableName).batchInsert(rows, chunkSize);
+  };
+
   instance.raw = function(sql, bindings) {
     return client.raw(sql, bindings);
   };
@@ -1,17 +1,56 @@
+const Raw = require('./raw');
+const { collectInsertColumns } = require('./utils/insert-columns');
+
+const WINDOW_AGGREGATES = ['count', 'sum', 'avg', 'min', 'max'];
+
+const FULL_TEXT_MODES = ['natural', 'boolean', 'phrase'];
+
+const DESCRIPTOR = Symbol('descriptor');
+
+const TERMINAL_METHODS = [
+  'constructor', 'clone', 'toSQL', 'toString', 'get', 'stream', 'iterate', 'first',
+  'pluck', 'value', 'exists', 'paginate', 'cursorPaginate', 'chunk', 'chunkById',
+  'count', 'countDistinct', 'sum', 'avg', 'min', 'max',
+  'run', 'then', 'catch', 'finally'
+];
+
+const OPERATORS = [
+  '=', '<', '>', '<=', '>=', '<>', '!=', '<=>',
+  'like', 'not like', 'ilike', 'not ilike',
+  'in', 'not in', 'between', 'not between', 'is', 'is not',
+  'regexp', 'not regexp', 'similar to', 'not similar to',
+  '~', '~*', '!~', '!~*', '@>', '<@', '&&',
+  '&', '|', '^', '<<', '>>'
+];
+
 class QueryBuilder {
   constructor(client, tableName) {
     this.client = client;
     this.tableName = tableName;
     this.statements = {
       select: null,
+      distinct: false,
+      distinctOn: [],
       where: [],
       join: [],
       orderBy: [],
       limit: null,
       offset: null,
       groupBy: [],
-      having: []
+      having: [],
+      with: [],
+      union: [],
+      onConflict: null,
+      returning: null,
+      increments: [],
+      insertSelect: null,
+      lock: null,
+      alias: null
     };
+    this._method = 'select';
+    this._data = null;
+    this._chunkSize = null;
+    this._immutable = Boolean(client && client.config && client.config.immutable);
     this.bindings = {
       select: [],
       where: [],
@@ -23,21 +62,105 @@ class QueryBuilder {
   }
 
   /**
-   * @param  {...string} columns
+   * @param  {...string|Raw|Object} columns
    * @returns {QueryBuilder}
    */
   select(...columns) {
-    this.statements.select = columns.length ? columns : ['*'];
+    const normalized = normalizeColumns(columns);
+    this.statements.select = normalized.length ? normalized : ['*'];
+    return this;
+  }
+
+  /**
+   * @param  {...string|Raw|Object} columns
+   * @returns {QueryBuilder}
+   */
+  distinct(...columns) {
+    this.statements.distinct = true;
+
+    if (columns.length) {
+      this.statements.select = normalizeColumns(columns);
+    }
+    return this;
+  }
+
+  /**
+   * @param  {...string|Raw} columns
+   * @returns {QueryBuilder}
+   */
+  distinctOn(...columns) {
+    this.statements.distinctOn = [].concat(...columns);
+    return this;
+  }
+
+  /**
+   * @param {string|QueryBuilder|Raw} table
+   * @returns {QueryBuilder}
+   */
+  from(table) {
+    this.tableName = table;
+    return this;
+  }
+
+  /**
+   * @param {string} name
+   * @param {Array|QueryBuilder|Raw|Function} columns
+   * @param {QueryBuilder|Raw|Function} query
+   * @returns {QueryBuilder}
+   */
+  with(name, columns, query) {
+    if (arguments.length === 2) {
+      return this._with(name, null, columns, false);
+    }
+    return this._with(name, columns, query, false);
+  }
+
+  /**
+   * @param {string} name
+   * @param {Array|QueryBuilder|Raw|Function} columns
+   * @param {QueryBuilder|Raw|Function} query
+   * @returns {QueryBuilder}
+   */
+  withRecursive(name, columns, query) {
+    if (arguments.length === 2) {
+      return this._with(name, null, columns, true);
+    }
+    return this._with(name, columns, query, true);
+  }
+
+  /**
+   * @param {string} name
+   * @param {Array|null} columns
+   * @param {QueryBuilder|Raw|Function} query
+   * @param {boolean} recursive
+   * @returns {QueryBuilder}
+   * @private
+   */
+  _with(name, columns, query, recursive) {
+    this.statements.with.push({
+      name,
+      columns,
+      query: query instanceof Raw ? query : this._subquery(query),
+      recursive
+    });
     return this;
   }
 
   /**
-   * @param {string|Object|Function} column
+   * @param {string|Object|Function|Raw} column
    * @param {string} operator
    * @param {any} value
    * @returns {QueryBuilder}
    */
   where(column, operator, value) {
+    if (column instanceof Raw) {
+      return this._whereRaw(column, 'AND');
+    }
+
+    if (typeof column === 'function') {
+      return this._whereNested(column, 'AND');
+    }
+
     if (typeof column === 'object') {
       const entries = Object.entries(column);
       for (const [key, val] of entries) {
@@ -51,178 +174,2203 @@ class QueryBuilder {
       operator = '=';
     }
 
-    this.statements.where.push({
-      column,
-      operator,
-      value,
-      boolean: 'AND'
-    });
-
-    if (value !== undefined) {
-      this.bindings.where.push(value);
-    }
+    return this._where(column, operator, value, 'AND');
+  }
 
-    return this;
+  /**
+   * @param {string|Function|Raw} column
+   * @param {string} operator
+   * @param {any} value
+   * @returns {QueryBuilder}
+   */
+  andWhere(column, operator, value) {
+    return this.where(...arguments);
   }
 
   /**
-   * @param {string} column
+   * @param {string|Function|Raw} column
    * @param {string} operator
    * @param {any} value
    * @returns {QueryBuilder}
    */
   orWhere(column, operator, value) {
+    if (column instanceof Raw) {
+      return this._whereRaw(column, 'OR');
+    }
+
+    if (typeof column === 'function') {
+      return this._whereNested(column, 'OR');
+    }
+
     if (arguments.length === 2) {
       value = operator;
       operator = '=';
     }
 
-    this.statements.where.push({
-      column,
-      operator,
-      value,
-      boolean: 'OR'
-    });
+    return this._where(column, operator, value, 'OR');
+  }
 
-    if (value !== undefined) {
-      this.bindings.where.push(value);
-    }
+  /**
+   * @param {string|Raw} sql
+   * @param {Array} bindings
+   * @returns {QueryBuilder}
+   */
+  whereRaw(sql, bindings) {
+    return this._whereRaw(sql instanceof Raw ? sql : new Raw(sql, bindings), 'AND');
+  }
 
-    return this;
+  /**
+   * @param {string|Raw} sql
+   * @param {Array} bindings
+   * @returns {QueryBuilder}
+   */
+  orWhereRaw(sql, bindings) {
+    return this._whereRaw(sql instanceof Raw ? sql : new Raw(sql, bindings), 'OR');
   }
 
   /**
-   * @param {number} limit
+   * @param {string} column
+   * @param {Array|QueryBuilder|Function} values
    * @returns {QueryBuilder}
    */
-  limit(limit) {
-    this.statements.limit = limit;
-    return this;
+  whereIn(column, values) {
+    return this._whereIn(column, values, false, 'AND');
   }
 
   /**
-   * @param {number} offset
+   * @param {string} column
+   * @param {Array|QueryBuilder|Function} values
    * @returns {QueryBuilder}
    */
-  offset(offset) {
-    this.statements.offset = offset;
-    return this;
+  orWhereIn(column, values) {
+    return this._whereIn(column, values, false, 'OR');
   }
 
   /**
    * @param {string} column
-   * @param {string} direction
+   * @param {Array|QueryBuilder|Function} values
    * @returns {QueryBuilder}
    */
-  orderBy(column, direction = 'asc') {
-    this.statements.orderBy.push({
-      column,
-      direction: direction.toLowerCase()
-    });
-    return this;
+  whereNotIn(column, values) {
+    return this._whereIn(column, values, true, 'AND');
   }
 
   /**
-   * @param {string} table
-   * @param {string} first
-   * @param {string} operator
-   * @param {string} second
+   * @param {string} column
+   * @param {Array|QueryBuilder|Function} values
    * @returns {QueryBuilder}
    */
-  join(table, first, operator, second) {
-    this.statements.join.push({
-      type: 'inner',
-      table,
-      first,
-      operator,
-      second
-    });
-    return this;
+  orWhereNotIn(column, values) {
+    return this._whereIn(column, values, true, 'OR');
   }
 
   /**
-   * @param {string} table
-   * @param {string} first
-   * @param {string} operator
-   * @param {string} second
+   * @param {QueryBuilder|Function} query
    * @returns {QueryBuilder}
    */
-  leftJoin(table, first, operator, second) {
-    this.statements.join.push({
-      type: 'left',
-      table,
-      first,
-      operator,
-      second
-    });
-    return this;
+  whereExists(query) {
+    return this._whereExists(query, false, 'AND');
   }
 
   /**
-   * @returns {Object}
-   * @private
+   * @param {QueryBuilder|Function} query
+   * @returns {QueryBuilder}
    */
-  _toSQL() {
-    const dialectModule = this.client.dialectModule;
-    return dialectModule.queryCompiler.compileSelect(this.tableName, this.statements, this.bindings);
+  orWhereExists(query) {
+    return this._whereExists(query, false, 'OR');
   }
 
   /**
-   * @returns {Promise<Array>}
+   * @param {QueryBuilder|Function} query
+   * @returns {QueryBuilder}
    */
-  async get() {
-    const { sql, bindings } = this._toSQL();
-    return await this.client.query(sql, bindings);
+  whereNotExists(query) {
+    return this._whereExists(query, true, 'AND');
   }
 
   /**
-   * @returns {Promise<Object>}
+   * @param {QueryBuilder|Function} query
+   * @returns {QueryBuilder}
    */
-  async first() {
-    const limitedQuery = this.limit(1);
-    const results = await limitedQuery.get();
-    return results.length ? results[0] : null;
+  orWhereNotExists(query) {
+    return this._whereExists(query, true, 'OR');
   }
 
   /**
-   * @param {Object|Array} data
-   * @returns {Promise<Array>}
+   * @param {string} column
+   * @returns {QueryBuilder}
    */
-  async insert(data) {
-    const dialectModule = this.client.dialectModule;
-    const { sql, bindings } = dialectModule.queryCompiler.compileInsert(this.tableName, data);
-    return await this.client.query(sql, bindings);
+  whereNull(column) {
+    return this._whereNull(column, false, 'AND');
   }
 
   /**
-   * @param {Object} data
-   * @returns {Promise<number>}
-   */
-  async update(data) {
-    const dialectModule = this.client.dialectModule;
-    const { sql, bindings } = dialectModule.queryCompiler.compileUpdate(
-      this.tableName, 
-      data, 
-      this.statements.where, 
-      this.bindings.where
-    );
-    const result = await this.client.query(sql, bindings);
-    return result.rowCount || 0;
+   * @param {string} column
+   * @returns {QueryBuilder}
+   */
+  orWhereNull(column) {
+    return this._whereNull(column, false, 'OR');
   }
 
   /**
-   * @returns {Promise<number>}
+   * @param {string} column
+   * @returns {QueryBuilder}
    */
-  async delete() {
-    const dialectModule = this.client.dialectModule;
-    const { sql, bindings } = dialectModule.queryCompiler.compileDelete(
-      this.tableName, 
-      this.statements.where, 
-      this.bindings.where
-    );
-    const result = await this.client.query(sql, bindings);
-    return result.rowCount || 0;
+  whereNotNull(column) {
+    return this._whereNull(column, true, 'AND');
+  }
+
+  /**
+   * @param {string} column
+   * @returns {QueryBuilder}
+   */
+  orWhereNotNull(column) {
+    return this._whereNull(column, true, 'OR');
+  }
+
+  /**
+   * @param {string} column
+   * @param {Array} range
+   * @returns {QueryBuilder}
+   */
+  whereBetween(column, range) {
+    return this._whereBetween(column, range, false, 'AND');
+  }
+
+  /**
+   * @param {string} column
+   * @param {Array} range
+   * @returns {QueryBuilder}
+   */
+  orWhereBetween(column, range) {
+    return this._whereBetween(column, range, false, 'OR');
+  }
+
+  /**
+   * @param {string} column
+   * @param {Array} range
+   * @returns {QueryBuilder}
+   */
+  whereNotBetween(column, range) {
+    return this._whereBetween(column, range, true, 'AND');
+  }
+
+  /**
+   * @param {string} column
+   * @param {Array} range
+   * @returns {QueryBuilder}
+   */
+  orWhereNotBetween(column, range) {
+    return this._whereBetween(column, range, true, 'OR');
+  }
+
+  /**
+   * @param {string|Array} columns
+   * @param {string} query
+   * @param {Object} options
+   * @returns {QueryBuilder}
+   */
+  whereFullText(columns, query, options = {}) {
+    return this._whereFullText(columns, query, options, 'AND');
+  }
+
+  /**
+   * @param {string|Array} columns
+   * @param {string} query
+   * @param {Object} options
+   * @returns {QueryBuilder}
+   */
+  orWhereFullText(columns, query, options = {}) {
+    return this._whereFullText(columns, query, options, 'OR');
+  }
+
+  /**
+   * @param {string|Array} columns
+   * @param {string} query
+   * @param {Object} options
+   * @returns {QueryBuilder}
+   */
+  selectRank(columns, query, options = {}) {
+    if (!this.statements.select) {
+      this.statements.select = ['*'];
+    }
+
+    this.statements.select.push({
+      [DESCRIPTOR]: true,
+      type: 'rank',
+      alias: options.alias || 'rank',
+      key: options.key || 'id',
+      ...this._fullText(columns, query, options)
+    });
+    this.bindings.select.push(query);
+
+    return this;
+  }
+
+  /**
+   * @param {string} column
+   * @param {string} operator
+   * @param {any} value
+   * @param {string} boolean
+   * @returns {QueryBuilder}
+   * @private
+   */
+  _where(column, operator, value, boolean) {
+    const normalized = assertOperator(operator);
+
+    if (value === null && (normalized === '=' || normalized === 'is')) {
+      return this._whereNull(column, false, boolean);
+    }
+
+    if (value === null && ['!=', '<>', 'is not'].includes(normalized)) {
+      return this._whereNull(column, true, boolean);
+    }
+
+    if (normalized === 'in' || normalized === 'not in') {
+      return this._whereIn(column, value, normalized === 'not in', boolean);
+    }
+
+    if (normalized === 'between' || normalized === 'not between') {
+      return this._whereBetween(column, value, normalized === 'not between', boolean);
+    }
+
+    this.statements.where.push({
+      type: 'basic',
+      column,
+      operator,
+      value,
+      boolean
+    });
+
+    if (value !== undefined) {
+      this.bindings.where.push(value);
+    }
+
+    return this;
+  }
+
+  /**
+   * @param {Raw} raw
+   * @param {string} boolean
+   * @returns {QueryBuilder}
+   * @private
+   */
+  _whereRaw(raw, boolean) {
+    this.statements.where.push({
+      type: 'raw',
+      value: raw,
+      boolean
+    });
+    this.bindings.where.push(...raw.bindings);
+
+    return this;
+  }
+
+  /**
+   * @param {Function} callback
+   * @param {string} boolean
+   * @returns {QueryBuilder}
+   * @private
+   */
+  _whereNested(callback, boolean) {
+    const nested = new QueryBuilder(this.client, this.tableName);
+    nested._immutable = false;
+    callback.call(nested, nested);
+
+    if (nested.statements.where.length) {
+      this.statements.where.push({
+        type: 'nested',
+        clauses: nested.statements.where,
+        boolean
+      });
+      this.bindings.where.push(...nested.bindings.where);
+    }
+
+    return this;
   }
+
+  /**
+   * @param {string} column
+   * @param {Array|QueryBuilder|Function} values
+   * @param {boolean} not
+   * @param {string} boolean
+   * @returns {QueryBuilder}
+   * @private
+   */
+  _whereIn(column, values, not, boolean) {
+    if (typeof values === 'function' || values instanceof QueryBuilder) {
+      this.statements.where.push({
+        type: 'in',
+        column,
+        value: this._subquery(values),
+        not,
+        boolean
+      });
+      return this;
+    }
+
+    if (!Array.isArray(values)) {
+      throw new Error(`whereIn attend un tableau de valeurs pour la colonne '${column}'`);
+    }
+
+    this.statements.where.push({
+      type: 'in',
+      column,
+      value: values,
+      not,
+      boolean
+    });
+    this.bindings.where.push(...values);
+
+    return this;
+  }
+
+  /**
+   * @param {QueryBuilder|Function} query
+   * @param {boolean} not
+   * @param {string} boolean
+   * @returns {QueryBuilder}
+   * @private
+   */
+  _whereExists(query, not, boolean) {
+    this.statements.where.push({
+      type: 'exists',
+      value: this._subquery(query),
+      not,
+      boolean
+    });
+
+    return this;
+  }
+
+  /**
+   * @param {QueryBuilder|Function} query
+   * @returns {QueryBuilder}
+   * @private
+   */
+  _subquery(query) {
+    if (query instanceof QueryBuilder) {
+      return query;
+    }
+
+    const subquery = new QueryBuilder(this.client);
+    subquery._immutable = false;
+    query.call(subquery, subquery);
+    return subquery;
+  }
+
+  /**
+   * @param {string} column
+   * @param {boolean} not
+   * @param {string} boolean
+   * @returns {QueryBuilder}
+   * @private
+   */
+  _whereNull(column, not, boolean) {
+    this.statements.where.push({
+      type: 'null',
+      column,
+      not,
+      boolean
+    });
+
+    return this;
+  }
+
+  /**
+   * @param {string} column
+   * @param {Array} range
+   * @param {boolean} not
+   * @param {string} boolean
+   * @returns {QueryBuilder}
+   * @private
+   */
+  _whereBetween(column, range, not, boolean) {
+    if (!Array.isArray(range) || range.length !== 2) {
+      throw new Error(`whereBetween attend un tableau de deux valeurs pour la colonne '${column}'`);
+    }
+
+    this.statements.where.push({
+      type: 'between',
+      column,
+      value: range,
+      not,
+      boolean
+    });
+    this.bindings.where.push(...range);
+
+    return this;
+  }
+
+  /**
+   * @param {string|Array} columns
+   * @param {string} query
+   * @param {Object} options
+   * @param {string} boolean
+   * @returns {QueryBuilder}
+   * @private
+   */
+  _whereFullText(columns, query, options, boolean) {
+    this.statements.where.push({
+      type: 'fullText',
+      ...this._fullText(columns, query, options),
+      boolean
+    });
+    this.bindings.where.push(query);
+
+    return this;
+  }
+
+  /**
+   * @param {string|Array} columns
+   * @param {string} query
+   * @param {Object} options
+   * @returns {Object}
+   * @private
+   */
+  _fullText(columns, query, options) {
+    const list = [].concat(columns);
+    const mode = options.mode || 'natural';
+
+    if (!list.length) {
+      throw new Error('La recherche plein texte attend au moins une colonne');
+    }
+    if (typeof query !== 'string') {
+      throw new Error(`Requête de recherche plein texte invalide: ${query}`);
+    }
+    if (!FULL_TEXT_MODES.includes(mode)) {
+      throw new Error(`Mode de recherche plein texte invalide: ${mode}`);
+    }
+
+    return {
+      table: this.tableName,
+      columns: list,
+      value: query,
+      mode,
+      language: options.language || null
+    };
+  }
+
+  /**
+   * @param {number} limit
+   * @returns {QueryBuilder}
+   */
+  limit(limit) {
+    this.statements.limit = limit;
+    return this;
+  }
+
+  /**
+   * @param {number} offset
+   * @returns {QueryBuilder}
+   */
+  offset(offset) {
+    this.statements.offset = offset;
+    return this;
+  }
+
+  /**
+   * @param {string|Raw} column
+   * @param {string} direction
+   * @returns {QueryBuilder}
+   */
+  orderBy(column, direction = 'asc') {
+    this.statements.orderBy.push({
+      column,
+      direction: assertDirection(direction)
+    });
+    return this;
+  }
+
+  /**
+   * @param {string|Raw} sql
+   * @param {Array} bindings
+   * @returns {QueryBuilder}
+   */
+  orderByRaw(sql, bindings) {
+    const raw = sql instanceof Raw ? sql : new Raw(sql, bindings);
+    this.statements.orderBy.push({
+      type: 'raw',
+      value: raw
+    });
+    this.bindings.orderBy.push(...raw.bindings);
+    return this;
+  }
+
+  /**
+   * @param  {...string|Raw} columns
+   * @returns {QueryBuilder}
+   */
+  groupBy(...columns) {
+    for (const column of columns) {
+      this.statements.groupBy.push(column);
+
+      if (column instanceof Raw) {
+        this.bindings.groupBy.push(...column.bindings);
+      }
+    }
+    return this;
+  }
+
+  /**
+   * @param {string|Raw} sql
+   * @param {Array} bindings
+   * @returns {QueryBuilder}
+   */
+  groupByRaw(sql, bindings) {
+    return this.groupBy(sql instanceof Raw ? sql : new Raw(sql, bindings));
+  }
+
+  /**
+   * @param {string|Raw} column
+   * @param {string} operator
+   * @param {any} value
+   * @returns {QueryBuilder}
+   */
+  having(column, operator, value) {
+    if (column instanceof Raw && arguments.length === 1) {
+      return this._havingRaw(column, 'AND');
+    }
+
+    if (arguments.length === 2) {
+      value = operator;
+      operator = '=';
+    }
+
+    return this._having(column, operator, value, 'AND');
+  }
+
+  /**
+   * @param {string|Raw} column
+   * @param {string} operator
+   * @param {any} value
+   * @returns {QueryBuilder}
+   */
+  orHaving(column, operator, value) {
+    if (column instanceof Raw && arguments.length === 1) {
+      return this._havingRaw(column, 'OR');
+    }
+
+    if (arguments.length === 2) {
+      value = operator;
+      operator = '=';
+    }
+
+    return this._having(column, operator, value, 'OR');
+  }
+
+  /**
+   * @param {string|Raw} sql
+   * @param {Array} bindings
+   * @returns {QueryBuilder}
+   */
+  havingRaw(sql, bindings) {
+    return this._havingRaw(sql instanceof Raw ? sql : new Raw(sql, bindings), 'AND');
+  }
+
+  /**
+   * @param {string|Raw} sql
+   * @param {Array} bindings
+   * @returns {QueryBuilder}
+   */
+  orHavingRaw(sql, bindings) {
+    return this._havingRaw(sql instanceof Raw ? sql : new Raw(sql, bindings), 'OR');
+  }
+
+  /**
+   * @param {string|Raw} column
+   * @param {string} operator
+   * @param {any} value
+   * @param {string} boolean
+   * @returns {QueryBuilder}
+   * @private
+   */
+  _having(column, operator, value, boolean) {
+    assertOperator(operator);
+    this.statements.having.push({
+      type: 'basic',
+      column,
+      operator,
+      value,
+      boolean
+    });
+
+    if (value !== undefined) {
+      this.bindings.having.push(value);
+    }
+
+    return this;
+  }
+
+  /**
+   * @param {Raw} raw
+   * @param {string} boolean
+   * @returns {QueryBuilder}
+   * @private
+   */
+  _havingRaw(raw, boolean) {
+    this.statements.having.push({
+      type: 'raw',
+      value: raw,
+      boolean
+    });
+    this.bindings.having.push(...raw.bindings);
+
+    return this;
+  }
+
+  /**
+   * @param {string|QueryBuilder|Raw} table
+   * @param {string|Function|Raw} first
+   * @param {string} operator
+   * @param {string|Raw} second
+   * @returns {QueryBuilder}
+   */
+  join(table, first, operator, second) {
+    return this._join('inner', ...arguments);
+  }
+
+  /**
+   * @param {string|QueryBuilder|Raw} table
+   * @param {string|Function|Raw} first
+   * @param {string} operator
+   * @param {string|Raw} second
+   * @returns {QueryBuilder}
+   */
+  leftJoin(table, first, operator, second) {
+    return this._join('left', ...arguments);
+  }
+
+  /**
+   * @param {string|QueryBuilder|Raw} table
+   * @param {string|Function|Raw} first
+   * @param {string} operator
+   * @param {string|Raw} second
+   * @returns {QueryBuilder}
+   */
+  rightJoin(table, first, operator, second) {
+    return this._join('right', ...arguments);
+  }
+
+  /**
+   * @param {string|QueryBuilder|Raw} table
+   * @param {string|Function|Raw} first
+   * @param {string} operator
+   * @param {string|Raw} second
+   * @returns {QueryBuilder}
+   */
+  fullOuterJoin(table, first, operator, second) {
+    return this._join('full', ...arguments);
+  }
+
+  /**
+   * @param {string|QueryBuilder|Raw} table
+   * @returns {QueryBuilder}
+   */
+  crossJoin(table) {
+    return this._join('cross', table);
+  }
+
+  /**
+   * @param {string|Raw} sql
+   * @param {Array} bindings
+   * @returns {QueryBuilder}
+   */
+  joinRaw(sql, bindings) {
+    const raw = sql instanceof Raw ? sql : new Raw(sql, bindings);
+    this.statements.join.push({
+      type: 'raw',
+      table: raw
+    });
+    this.bindings.join.push(...raw.bindings);
+    return this;
+  }
+
+  /**
+   * @param  {...QueryBuilder|Function|Array} queries
+   * @returns {QueryBuilder}
+   */
+  union(...queries) {
+    return this._union('union', queries);
+  }
+
+  /**
+   * @param  {...QueryBuilder|Function|Array} queries
+   * @returns {QueryBuilder}
+   */
+  unionAll(...queries) {
+    return this._union('union all', queries);
+  }
+
+  /**
+   * @param  {...QueryBuilder|Function|Array} queries
+   * @returns {QueryBuilder}
+   */
+  intersect(...queries) {
+    return this._union('intersect', queries);
+  }
+
+  /**
+   * @param  {...QueryBuilder|Function|Array} queries
+   * @returns {QueryBuilder}
+   */
+  except(...queries) {
+    return this._union('except', queries);
+  }
+
+  /**
+   * @param {string} type
+   * @param {Array} queries
+   * @returns {QueryBuilder}
+   * @private
+   */
+  _union(type, queries) {
+    for (const query of queries.flat()) {
+      this.statements.union.push({
+        type,
+        query: this._subquery(query)
+      });
+    }
+    return this;
+  }
+
+  /**
+   * @param {string} alias
+   * @param {Object} options
+   * @returns {QueryBuilder}
+   */
+  rowNumber(alias, options) {
+    return this._window('row_number', [], alias, options);
+  }
+
+  /**
+   * @param {string} alias
+   * @param {Object} options
+   * @returns {QueryBuilder}
+   */
+  rank(alias, options) {
+    return this._window('rank', [], alias, options);
+  }
+
+  /**
+   * @param {string} alias
+   * @param {Object} options
+   * @returns {QueryBuilder}
+   */
+  denseRank(alias, options) {
+    return this._window('dense_rank', [], alias, options);
+  }
+
+  /**
+   * @param {string|Raw} column
+   * @param {string} alias
+   * @param {Object} options
+   * @returns {QueryBuilder}
+   */
+  lag(column, alias, options = {}) {
+    return this._window('lag', this._offsetArguments(column, options), alias, options);
+  }
+
+  /**
+   * @param {string|Raw} column
+   * @param {string} alias
+   * @param {Object} options
+   * @returns {QueryBuilder}
+   */
+  lead(column, alias, options = {}) {
+    return this._window('lead', this._offsetArguments(column, options), alias, options);
+  }
+
+  /**
+   * @param {string} fn
+   * @param {string|Raw} column
+   * @param {string} alias
+   * @param {Object} options
+   * @returns {QueryBuilder}
+   */
+  over(fn, column, alias, options) {
+    if (!WINDOW_AGGREGATES.includes(fn.toLowerCase())) {
+      throw new Error(`Fonction d'agrégation non supportée pour over(): ${fn}`);
+    }
+    return this._window(fn.toLowerCase(), [column], alias, options);
+  }
+
+  /**
+   * @param {string|Raw} column
+   * @param {Object} options
+   * @returns {Array}
+   * @private
+   */
+  _offsetArguments(column, options) {
+    const args = [column];
+    const offset = options.offset !== undefined ? options.offset : 1;
+
+    if (!Number.isInteger(offset) || offset < 0) {
+      throw new Error(`Décalage invalide: ${offset}`);
+    }
+
+    args.push(offset);
+    if (options.default !== undefined) {
+      args.push(options.default);
+    }
+    return args;
+  }
+
+  /**
+   * @param {string} fn
+   * @param {Array} args
+   * @param {string} alias
+   * @param {Object} options
+   * @returns {QueryBuilder}
+   * @private
+   */
+  _window(fn, args, alias, options = {}) {
+    const partitionBy = options.partitionBy ? [].concat(options.partitionBy) : [];
+    const orderBy = options.orderBy ? [].concat(options.orderBy) : [];
+
+    if (!this.statements.select) {
+      this.statements.select = ['*'];
+    }
+
+    this.statements.select.push({
+      [DESCRIPTOR]: true,
+      type: 'window',
+      fn,
+      args,
+      alias,
+      partitionBy,
+      orderBy: orderBy.map(order => {
+        if (typeof order === 'string' || order instanceof Raw) {
+          return { column: order, direction: 'asc' };
+        }
+        return { column: order.column, direction: assertDirection(order.direction || 'asc') };
+      })
+    });
+    return this;
+  }
+
+  /**
+   * @returns {QueryBuilder}
+   */
+  forUpdate() {
+    this.statements.lock = { ...this.statements.lock, mode: 'update' };
+    return this;
+  }
+
+  /**
+   * @returns {QueryBuilder}
+   */
+  forShare() {
+    this.statements.lock = { ...this.statements.lock, mode: 'share' };
+    return this;
+  }
+
+  /**
+   * @returns {QueryBuilder}
+   */
+  skipLocked() {
+    this.statements.lock = { ...this.statements.lock, wait: 'skipLocked' };
+    return this;
+  }
+
+  /**
+   * @returns {QueryBuilder}
+   */
+  noWait() {
+    this.statements.lock = { ...this.statements.lock, wait: 'noWait' };
+    return this;
+  }
+
+  /**
+   * @private
+   */
+  _assertLock() {
+    if (!this.statements.lock) {
+      return;
+    }
+
+    if (!this.statements.lock.mode) {
+      throw new Error('skipLocked() et noWait() nécessitent forUpdate() ou forShare()');
+    }
+
+    if (!this.client.isTransaction) {
+      throw new Error('Le verrouillage de lignes n\'est autorisé que dans une transaction');
+    }
+  }
+
+  /**
+   * @param {string|Array} columns
+   * @param {Object} options
+   * @returns {QueryBuilder}
+   */
+  returning(columns, options = {}) {
+    this.statements.returning = {
+      columns: [].concat(columns),
+      primaryKey: options.primaryKey || 'id'
+    };
+    return this;
+  }
+
+  /**
+   * @param {string|Array} columns
+   * @returns {OnConflictBuilder}
+   */
+  onConflict(columns) {
+    return new OnConflictBuilder(this, columns ? [].concat(columns) : []);
+  }
+
+  /**
+   * @param {any} condition
+   * @param {Function} callback
+   * @param {Function} otherwise
+   * @returns {QueryBuilder}
+   */
+  when(condition, callback, otherwise) {
+    if (condition) {
+      callback.call(this, this, condition);
+    } else if (otherwise) {
+      otherwise.call(this, this, condition);
+    }
+    return this;
+  }
+
+  /**
+   * @param {Function} callback
+   * @param  {...any} args
+   * @returns {QueryBuilder}
+   */
+  modify(callback, ...args) {
+    callback.call(this, this, ...args);
+    return this;
+  }
+
+  /**
+   * @param {string} name
+   * @param  {...any} args
+   * @returns {QueryBuilder}
+   */
+  scope(name, ...args) {
+    const table = String(this.tableName).split(/\s+as\s+/i)[0].trim();
+    const scopes = this.client.scopes && this.client.scopes.get(table);
+
+    if (!scopes || !scopes.has(name)) {
+      throw new Error(`Scope '${name}' introuvable pour la table '${table}'`);
+    }
+
+    return this.modify(scopes.get(name), ...args);
+  }
+
+  /**
+   * @param {string} alias
+   * @returns {QueryBuilder}
+   */
+  as(alias) {
+    this.statements.alias = alias;
+    return this;
+  }
+
+  /**
+   * @param {string} type
+   * @param {string|QueryBuilder|Raw} table
+   * @param {string|Function|Raw} first
+   * @param {string} operator
+   * @param {string|Raw} second
+   * @returns {QueryBuilder}
+   * @private
+   */
+  _join(type, table, first, operator, second) {
+    const join = new JoinClause(type, table);
+
+    if (typeof first === 'function') {
+      first.call(join, join);
+    } else if (first instanceof Raw) {
+      join.on(first);
+    } else if (arguments.length === 4) {
+      join.on(first, '=', operator);
+    } else if (arguments.length > 4) {
+      join.on(first, operator, second);
+    }
+
+    if (type !== 'cross' && !join.conditions.length) {
+      throw new Error(`La jointure sur '${table}' nécessite au moins une condition`);
+    }
+
+    this.statements.join.push({
+      type,
+      table,
+      conditions: join.conditions
+    });
+    this.bindings.join.push(...join.bindings);
+
+    return this;
+  }
+
+  /**
+   * @returns {Object}
+   * @private
+   */
+  _compileOptions() {
+    return {
+      version: this.client.config ? this.client.config.version : null
+    };
+  }
+
+  /**
+   * @returns {Object}
+   */
+  toSQL() {
+    const { sql, bindings } = this._compile(this._method, this._data);
+    return { sql, bindings, method: this._method };
+  }
+
+  /**
+   * @returns {string}
+   */
+  toString() {
+    const { sql, bindings } = this.toSQL();
+    return this.client.dialectModule.queryCompiler.interpolate(sql, bindings);
+  }
+
+  /**
+   * @param {string} method
+   * @param {Object|Array} data
+   * @param {Object} overrides
+   * @returns {Object}
+   * @private
+   */
+  _compile(method, data, overrides = {}) {
+    const queryCompiler = this.client.dialectModule.queryCompiler;
+    const options = { ...this._compileOptions(), ...overrides };
+
+    switch (method) {
+      case 'insert':
+        return queryCompiler.compileInsert(this.tableName, data, this.statements, options);
+      case 'update':
+        return queryCompiler.compileUpdate(this.tableName, data, this.statements, this.bindings, options);
+      case 'delete':
+        return queryCompiler.compileDelete(this.tableName, this.statements, this.bindings, options);
+      default:
+        return queryCompiler.compileSelect(this.tableName, this.statements, this.bindings, options);
+    }
+  }
+
+  /**
+   * @returns {Promise<Array>}
+   */
+  async get() {
+    this._assertLock();
+    const { sql, bindings } = this._compile('select');
+    return await this.client.query(sql, bindings, { method: 'select' });
+  }
+
+  /**
+   * @param {Object} options
+   * @returns {Readable}
+   */
+  stream(options = {}) {
+    this._assertLock();
+    const { sql, bindings } = this._compile('select');
+    return this.client.stream(sql, bindings, options);
+  }
+
+  /**
+   * @param {Object} options
+   * @returns {AsyncGenerator<Object>}
+   */
+  async *iterate(options = {}) {
+    yield* this.stream(options);
+  }
+
+  /**
+   * @returns {Promise<Object>}
+   */
+  async first() {
+    const results = await this.clone().limit(1).get();
+    return results.length ? results[0] : null;
+  }
+
+  /**
+   * @param {string|Raw} column
+   * @returns {Promise<Array>}
+   */
+  async pluck(column) {
+    const rows = await this._derive().select(column).get();
+    return rows.map(row => pickValue(row, column));
+  }
+
+  /**
+   * @param {string|Raw} column
+   * @returns {Promise<any>}
+   */
+  async value(column) {
+    const rows = await this._derive().select(column).limit(1).get();
+    return rows.length ? pickValue(rows[0], column) : null;
+  }
+
+  /**
+   * @returns {Promise<boolean>}
+   */
+  async exists() {
+    const rows = await this._derive().select(new Raw('1')).limit(1).get();
+    return rows.length > 0;
+  }
+
+  /**
+   * @param {Object} options
+   * @returns {Promise<Object>}
+   */
+  async paginate(options = {}) {
+    const page = options.page || 1;
+    const perPage = options.perPage || 15;
+
+    if (!Number.isInteger(page) || page < 1 || !Number.isInteger(perPage) || perPage < 1) {
+      throw new Error('paginate() attend des entiers positifs pour page et perPage');
+    }
+
+    const total = await this._countQuery().count('* as total');
+    const data = await this._derive().limit(perPage).offset((page - 1) * perPage).get();
+
+    return {
+      data,
+      total,
+      perPage,
+      currentPage: page,
+      lastPage: Math.max(1, Math.ceil(total / perPage))
+    };
+  }
+
+  /**
+   * @param {Object} options
+   * @returns {Promise<Object>}
+   */
+  async cursorPaginate(options = {}) {
+    const perPage = options.perPage || 15;
+    const orders = [].concat(options.orderBy || []).map(order => {
+      if (typeof order === 'string') {
+        return { column: order, direction: 'asc' };
+      }
+      return { column: order.column, direction: (order.direction || 'asc').toLowerCase() };
+    });
+
+    if (!orders.length) {
+      throw new Error('cursorPaginate() nécessite au moins une colonne dans orderBy');
+    }
+
+    const backward = Boolean(options.before);
+    const cursor = backward ? options.before : options.after;
+    let query = this._derive();
+    query.statements.orderBy = [];
+    query.statements.limit = null;
+    query.statements.offset = null;
+
+    if (cursor) {
+      const values = decodeCursor(cursor, orders.length);
+      const keyset = {
+        type: 'keyset',
+        columns: orders.map(order => order.column),
+        operators: orders.map(order => (order.direction === 'desc') !== backward ? '<' : '>'),
+        values,
+        boolean: 'AND'
+      };
+      const where = this.statements.where.length
+        ? [{ type: 'nested', clauses: this.statements.where, boolean: 'AND' }]
+        : [];
+      query.statements.where = [...where, keyset];
+    }
+
+    for (const order of orders) {
+      const reversed = order.direction === 'desc' ? 'asc' : 'desc';
+      query = query.orderBy(order.column, backward ? reversed : order.direction);
+    }
+
+    const rows = await query.limit(perPage + 1).get();
+    const hasMore = rows.length > perPage;
+    const data = rows.slice(0, perPage);
+
+    if (backward) {
+      data.reverse();
+    }
+
+    const first = data.length ? encodeCursor(data[0], orders) : null;
+    const last = data.length ? encodeCursor(data[data.length - 1], orders) : null;
+
+    return {
+      data,
+      nextCursor: backward || hasMore ? last : null,
+      prevCursor: (backward && hasMore) || (!backward && cursor) ? first : null
+    };
+  }
+
+  /**
+   * @param {number} size
+   * @param {Function} callback
+   * @param {Object} options
+   * @returns {Promise<boolean>}
+   */
+  async chunk(size, callback, options = {}) {
+    const orders = this.statements.orderBy;
+    const key = options.column || 'id';
+
+    if (orders.some(order => order.type === 'raw')) {
+      throw new Error('chunk() ne supporte pas orderByRaw(), utilisez orderBy()');
+    }
+
+    if (orders.some(order => order.column === key)) {
+      return await this._chunkBy(size, callback, orders);
+    }
+
+    const direction = orders.length ? orders[orders.length - 1].direction : 'asc';
+    return await this._chunkBy(size, callback, [...orders, { column: key, direction }]);
+  }
+
+  /**
+   * @param {number} size
+   * @param {Function} callback
+   * @param {Object} options
+   * @returns {Promise<boolean>}
+   */
+  async chunkById(size, callback, options = {}) {
+    return await this._chunkBy(size, callback, [{ column: options.column || 'id', direction: 'asc' }]);
+  }
+
+  /**
+   * @param {number} size
+   * @param {Function} callback
+   * @param {Array} orders
+   * @returns {Promise<boolean>}
+   * @private
+   */
+  async _chunkBy(size, callback, orders) {
+    if (!Number.isInteger(size) || size < 1) {
+      throw new Error('La taille des lots doit être un entier positif');
+    }
+
+    let after = null;
+    let page = 1;
+
+    do {
+      const { data, nextCursor } = await this.cursorPaginate({ perPage: size, orderBy: orders, after });
+
+      if (!data.length) {
+        break;
+      }
+
+      if (await callback(data, page++) === false) {
+        return false;
+      }
+
+      after = nextCursor;
+    } while (after);
+
+    return true;
+  }
+
+  /**
+   * @returns {QueryBuilder}
+   */
+  clone() {
+    const query = this._derive();
+    query._method = this._method;
+    query._data = cloneValue(this._data);
+    query._chunkSize = this._chunkSize;
+    return query;
+  }
+
+  /**
+   * @returns {QueryBuilder}
+   * @private
+   */
+  _derive() {
+    const query = new QueryBuilder(this.client, cloneValue(this.tableName));
+    query.statements = cloneValue(this.statements);
+    query.bindings = cloneValue(this.bindings);
+    return query;
+  }
+
+  /**
+   * @returns {QueryBuilder}
+   * @private
+   */
+  _deriveUnpaged() {
+    const query = this._derive();
+    query.statements.orderBy = [];
+    query.statements.limit = null;
+    query.statements.offset = null;
+    query.statements.lock = null;
+    return query;
+  }
+
+  /**
+   * @returns {QueryBuilder}
+   * @private
+   */
+  _countQuery() {
+    const inner = this._deriveUnpaged();
+
+    const { groupBy, union, distinct, distinctOn } = inner.statements;
+
+    if (groupBy.length || union.length || distinct || distinctOn.length) {
+      return new QueryBuilder(this.client).from(inner.as('paginate_count'));
+    }
+
+    inner.statements.select = null;
+    return inner;
+  }
+
+  /**
+   * @param {string|Raw} column
+   * @param {string} alias
+   * @returns {Promise<number|Array>}
+   */
+  async count(column = '*', alias) {
+    return await this._aggregate('count', column, alias, false);
+  }
+
+  /**
+   * @param {string|Raw} column
+   * @param {string} alias
+   * @returns {Promise<number|Array>}
+   */
+  async countDistinct(column, alias) {
+    return await this._aggregate('count', column, alias, true);
+  }
+
+  /**
+   * @param {string|Raw} column
+   * @param {string} alias
+   * @returns {Promise<number|Array>}
+   */
+  async sum(column, alias) {
+    return await this._aggregate('sum', column, alias, false);
+  }
+
+  /**
+   * @param {string|Raw} column
+   * @param {string} alias
+   * @returns {Promise<number|Array>}
+   */
+  async avg(column, alias) {
+    return await this._aggregate('avg', column, alias, false);
+  }
+
+  /**
+   * @param {string|Raw} column
+   * @param {string} alias
+   * @returns {Promise<any>}
+   */
+  async min(column, alias) {
+    return await this._aggregate('min', column, alias, false);
+  }
+
+  /**
+   * @param {string|Raw} column
+   * @param {string} alias
+   * @returns {Promise<any>}
+   */
+  async max(column, alias) {
+    return await this._aggregate('max', column, alias, false);
+  }
+
+  /**
+   * @param {string} fn
+   * @param {string|Raw} column
+   * @param {string} alias
+   * @param {boolean} distinct
+   * @returns {Promise<any>}
+   * @private
+   */
+  async _aggregate(fn, column, alias, distinct) {
+    if (typeof column === 'string' && !alias) {
+      const match = column.match(/^(.+?)\s+as\s+(\S+)$/i);
+      if (match) {
+        [, column, alias] = match;
+      }
+    }
+
+    const aggregate = {
+      [DESCRIPTOR]: true,
+      type: 'aggregate',
+      fn,
+      column,
+      alias: alias || fn,
+      distinct
+    };
+
+    const query = this._deriveUnpaged();
+    const grouped = query.statements.groupBy.length > 0;
+    const columns = grouped ? (query.statements.select || []).filter(selected => selected !== '*') : [];
+    query.statements.select = [...columns, aggregate];
+
+    const rows = await query.get();
+    const normalized = rows.map(row => ({
+      ...row,
+      [aggregate.alias]: normalizeAggregate(fn, row[aggregate.alias])
+    }));
+
+    if (grouped) {
+      return normalized;
+    }
+
+    return normalized.length ? normalized[0][aggregate.alias] : null;
+  }
+
+  /**
+   * @param {Object|Array} data
+   * @returns {QueryBuilder}
+   */
+  insert(data) {
+    this._method = 'insert';
+    this._data = data;
+    return this;
+  }
+
+  /**
+   * @param {QueryBuilder|Raw} query
+   * @returns {QueryBuilder}
+   */
+  fromSelect(query) {
+    this._method = 'insert';
+    this._data = Array.isArray(this._data) ? this._data : [];
+    this.statements.insertSelect = query;
+    return this;
+  }
+
+  /**
+   * @param {Array} rows
+   * @param {number} chunkSize
+   * @returns {QueryBuilder}
+   */
+  batchInsert(rows, chunkSize) {
+    this._method = 'insert';
+    this._data = rows;
+    this._chunkSize = chunkSize || null;
+    return this;
+  }
+
+  /**
+   * @param {Object} data
+   * @returns {QueryBuilder}
+   */
+  update(data) {
+    this._method = 'update';
+    this._data = data;
+    return this;
+  }
+
+  /**
+   * @param {string|Object} column
+   * @param {number} amount
+   * @returns {QueryBuilder}
+   */
+  increment(column, amount = 1) {
+    return this._increment('+', column, amount);
+  }
+
+  /**
+   * @param {string|Object} column
+   * @param {number} amount
+   * @returns {QueryBuilder}
+   */
+  decrement(column, amount = 1) {
+    return this._increment('-', column, amount);
+  }
+
+  /**
+   * @param {string} operator
+   * @param {string|Object} column
+   * @param {number} amount
+   * @returns {QueryBuilder}
+   * @private
+   */
+  _increment(operator, column, amount) {
+    const entries = typeof column === 'object' ? Object.entries(column) : [[column, amount]];
+
+    for (const [name, value] of entries) {
+      if (typeof value !== 'number' || !Number.isFinite(value)) {
+        throw new Error(`Valeur d'incrément invalide pour ${name}: ${value}`);
+      }
+      this.statements.increments.push({ column: name, operator, amount: value });
+    }
+
+    this._method = 'update';
+    return this;
+  }
+
+  /**
+   * @returns {QueryBuilder}
+   */
+  delete() {
+    this._method = 'delete';
+    this._data = null;
+    return this;
+  }
+
+  /**
+   * @returns {Promise<Array|number>}
+   */
+  async run() {
+    switch (this._method) {
+      case 'insert':
+        return await this._runInsert(this._data);
+      case 'update':
+        return await this._runUpdate(this._data);
+      case 'delete':
+        return await this._runDelete();
+      default:
+        return await this.get();
+    }
+  }
+
+  /**
+   * @param {Function} onFulfilled
+   * @param {Function} onRejected
+   * @returns {Promise<any>}
+   */
+  then(onFulfilled, onRejected) {
+    return this.run().then(onFulfilled, onRejected);
+  }
+
+  /**
+   * @param {Function} onRejected
+   * @returns {Promise<any>}
+   */
+  catch(onRejected) {
+    return this.run().catch(onRejected);
+  }
+
+  /**
+   * @param {Function} onFinally
+   * @returns {Promise<any>}
+   */
+  finally(onFinally) {
+    return this.run().finally(onFinally);
+  }
+
+  /**
+   * @param {Object|Array} data
+   * @returns {Promise<number|Array>}
+   * @private
+   */
+  async _runInsert(data) {
+    if (this.statements.insertSelect) {
+      if (this._emulatesReturning()) {
+        throw new Error('returning() ne peut pas être émulé sur un INSERT ... SELECT MySQL');
+      }
+
+      const { sql, bindings } = this._compile('insert', data);
+      return this._resolveWrite(await this.client.query(sql, bindings, this._writeOptions('insert')));
+    }
+
+    const rows = Array.isArray(data) ? data : [data];
+    const columns = collectInsertColumns(rows);
+    const batches = this._insertBatches(rows, columns);
+
+    if (batches.length > 1 && !this.client.isTransaction) {
+      return await this.client.transaction(trxClient => {
+        const query = this._derive();
+        query.client = trxClient;
+        return query._insertAll(batches, columns);
+      });
+    }
+
+    return await this._insertAll(batches, columns);
+  }
+
+  /**
+   * @param {Array} rows
+   * @param {Array} columns
+   * @returns {Array}
+   * @private
+   */
+  _insertBatches(rows, columns) {
+    const { maxParameters = Infinity, maxInsertRows = Infinity } = this.client.dialectModule.queryCompiler;
+    const { perRow, fixed } = this._insertParameters(columns);
+    const size = Math.min(
+      Math.max(1, Math.floor((maxParameters - fixed) / Math.max(perRow, 1))),
+      maxInsertRows,
+      this._chunkSize || Infinity
+    );
+
+    if (rows.length <= size) {
+      return [rows];
+    }
+
+    const batches = [];
+    for (let i = 0; i < rows.length; i += size) {
+      batches.push(rows.slice(i, i + size));
+    }
+    return batches;
+  }
+
+  /**
+   * @param {Array} columns
+   * @returns {Object}
+   * @private
+   */
+  _insertParameters(columns) {
+    const probe = Object.fromEntries(columns.map(column => [column, null]));
+    const single = this._compile('insert', [probe], { columns }).bindings.length;
+    const double = this._compile('insert', [probe, probe], { columns }).bindings.length;
+
+    return { perRow: double - single, fixed: single - (double - single) };
+  }
+
+  /**
+   * @param {Array} batches
+   * @param {Array} columns
+   * @returns {Promise<number|Array>}
+   * @private
+   */
+  async _insertAll(batches, columns) {
+    const results = [];
+
+    for (const batch of batches) {
+      results.push(await this._insertBatch(batch, columns));
+    }
+
+    if (this.statements.returning) {
+      return [].concat(...results);
+    }
+    return results.reduce((total, count) => total + count, 0);
+  }
+
+  /**
+   * @param {Array} rows
+   * @param {Array} columns
+   * @returns {Promise<number|Array>}
+   * @private
+   */
+  async _insertBatch(rows, columns) {
+    const { sql, bindings } = this._compile('insert', rows, { columns });
+
+    if (this._emulatesReturning()) {
+      if (this.statements.onConflict) {
+        throw new Error('returning() ne peut pas être émulé sur un upsert MySQL');
+      }
+
+      const result = await this.client.query(sql, bindings, { method: 'insert' });
+      const { primaryKey } = this.statements.returning;
+      const ids = rows.every(row => row[primaryKey] !== undefined)
+        ? rows.map(row => row[primaryKey])
+        : rows.map((row, index) => result.insertId + index);
+      return await this._fetchReturning(ids);
+    }
+
+    return this._resolveWrite(await this.client.query(sql, bindings, this._writeOptions('insert')));
+  }
+
+  /**
+   * @param {Object} data
+   * @returns {Promise<number|Array>}
+   * @private
+   */
+  async _runUpdate(data) {
+    const { sql, bindings } = this._compile('update', data);
+
+    if (this._emulatesReturning()) {
+      const { primaryKey } = this.statements.returning;
+      const matched = await this._returningQuery().select(qualifyColumn(this.tableName, primaryKey)).get();
+      await this.client.query(sql, bindings, { method: 'update' });
+      return await this._fetchReturning(matched.map(row => row[primaryKey]));
+    }
+
+    return this._resolveWrite(await this.client.query(sql, bindings, this._writeOptions('update')));
+  }
+
+  /**
+   * @returns {Promise<number|Array>}
+   * @private
+   */
+  async _runDelete() {
+    const { sql, bindings } = this._compile('delete');
+
+    if (this._emulatesReturning()) {
+      const columns = this.statements.returning.columns.map(column => qualifyColumn(this.tableName, column));
+      const deleted = await this._returningQuery().select(...columns).get();
+      await this.client.query(sql, bindings, { method: 'delete' });
+      return deleted;
+    }
+
+    return this._resolveWrite(await this.client.query(sql, bindings, this._writeOptions('delete')));
+  }
+
+  /**
+   * @param {string} method
+   * @returns {Object}
+   * @private
+   */
+  _writeOptions(method) {
+    return { method, returning: Boolean(this.statements.returning) };
+  }
+
+  /**
+   * @param {Object|Array} result
+   * @returns {number|Array}
+   * @private
+   */
+  _resolveWrite(result) {
+    if (this.statements.returning) {
+      return result;
+    }
+    return result.rowCount || 0;
+  }
+
+  /**
+   * @returns {boolean}
+   * @private
+   */
+  _emulatesReturning() {
+    return Boolean(this.statements.returning) && !this.client.dialectModule.queryCompiler.supportsReturning;
+  }
+
+  /**
+   * @returns {QueryBuilder}
+   * @private
+   */
+  _returningQuery() {
+    const query = new QueryBuilder(this.client, this.tableName);
+    query.statements.with = this.statements.with;
+    query.statements.join = this.statements.join;
+    query.statements.where = this.statements.where;
+    return query;
+  }
+
+  /**
+   * @param {Array} ids
+   * @returns {Promise<Array>}
+   * @private
+   */
+  async _fetchReturning(ids) {
+    const { columns, primaryKey } = this.statements.returning;
+
+    if (columns.length === 1 && columns[0] === primaryKey) {
+      return ids.map(id => ({ [primaryKey]: id }));
+    }
+
+    if (!ids.length) {
+      return [];
+    }
+
+    return await new QueryBuilder(this.client, this.tableName)
+      .select(...columns)
+      .whereIn(primaryKey, ids)
+      .get();
+  }
+}
+
+class OnConflictBuilder {
+  constructor(builder, columns) {
+    this.builder = builder;
+    this.columns = columns;
+  }
+
+  /**
+   * @param {Array|Object} updates
+   * @returns {QueryBuilder}
+   */
+  merge(updates) {
+    this.builder.statements.onConflict = {
+      columns: this.columns,
+      action: 'merge',
+      merge: typeof updates === 'string' ? [updates] : updates || null
+    };
+    return this.builder;
+  }
+
+  /**
+   * @returns {QueryBuilder}
+   */
+  ignore() {
+    this.builder.statements.onConflict = {
+      columns: this.columns,
+      action: 'ignore',
+      merge: null
+    };
+    return this.builder;
+  }
+}
+
+class JoinClause {
+  constructor(type, table) {
+    this.type = type;
+    this.table = table;
+    this.conditions = [];
+    this.bindings = [];
+  }
+
+  /**
+   * @param {string|Function|Raw} first
+   * @param {string} operator
+   * @param {string} second
+   * @returns {JoinClause}
+   */
+  on(first, operator, second) {
+    if (arguments.length === 2) {
+      return this._on(first, '=', operator, 'AND');
+    }
+    return this._on(first, operator, second, 'AND');
+  }
+
+  /**
+   * @param {string|Function|Raw} first
+   * @param {string} operator
+   * @param {string} second
+   * @returns {JoinClause}
+   */
+  andOn(first, operator, second) {
+    return this.on(...arguments);
+  }
+
+  /**
+   * @param {string|Function|Raw} first
+   * @param {string} operator
+   * @param {string} second
+   * @returns {JoinClause}
+   */
+  orOn(first, operator, second) {
+    if (arguments.length === 2) {
+      return this._on(first, '=', operator, 'OR');
+    }
+    return this._on(first, operator, second, 'OR');
+  }
+
+  /**
+   * @param {string} column
+   * @param {string} operator
+   * @param {any} value
+   * @returns {JoinClause}
+   */
+  onVal(column, operator, value) {
+    if (arguments.length === 2) {
+      return this._onVal(column, '=', operator, 'AND');
+    }
+    return this._onVal(column, operator, value, 'AND');
+  }
+
+  /**
+   * @param {string} column
+   * @param {string} operator
+   * @param {any} value
+   * @returns {JoinClause}
+   */
+  andOnVal(column, operator, value) {
+    return this.onVal(...arguments);
+  }
+
+  /**
+   * @param {string} column
+   * @param {string} operator
+   * @param {any} value
+   * @returns {JoinClause}
+   */
+  orOnVal(column, operator, value) {
+    if (arguments.length === 2) {
+      return this._onVal(column, '=', operator, 'OR');
+    }
+    return this._onVal(column, operator, value, 'OR');
+  }
+
+  /**
+   * @param {string} column
+   * @param {Array} values
+   * @returns {JoinClause}
+   */
+  onIn(column, values) {
+    return this._onIn(column, values, false, 'AND');
+  }
+
+  /**
+   * @param {string} column
+   * @param {Array} values
+   * @returns {JoinClause}
+   */
+  orOnIn(column, values) {
+    return this._onIn(column, values, false, 'OR');
+  }
+
+  /**
+   * @param {string} column
+   * @param {Array} values
+   * @returns {JoinClause}
+   */
+  onNotIn(column, values) {
+    return this._onIn(column, values, true, 'AND');
+  }
+
+  /**
+   * @param {string} column
+   * @param {Array} values
+   * @returns {JoinClause}
+   */
+  orOnNotIn(column, values) {
+    return this._onIn(column, values, true, 'OR');
+  }
+
+  /**
+   * @param {string|Function|Raw} first
+   * @param {string} operator
+   * @param {string} second
+   * @param {string} boolean
+   * @returns {JoinClause}
+   * @private
+   */
+  _on(first, operator, second, boolean) {
+    if (first instanceof Raw) {
+      this.conditions.push({ type: 'raw', value: first, boolean });
+      this.bindings.push(...first.bindings);
+      return this;
+    }
+
+    if (typeof first === 'function') {
+      const nested = new JoinClause(this.type, this.table);
+      first.call(nested, nested);
+
+      if (nested.conditions.length) {
+        this.conditions.push({ type: 'nested', clauses: nested.conditions, boolean });
+        this.bindings.push(...nested.bindings);
+      }
+      return this;
+    }
+
+    assertOperator(operator);
+    this.conditions.push({
+      type: 'column',
+      column: first,
+      operator,
+      value: second,
+      boolean
+    });
+    return this;
+  }
+
+  /**
+   * @param {string} column
+   * @param {string} operator
+   * @param {any} value
+   * @param {string} boolean
+   * @returns {JoinClause}
+   * @private
+   */
+  _onVal(column, operator, value, boolean) {
+    assertOperator(operator);
+    this.conditions.push({
+      type: 'basic',
+      column,
+      operator,
+      value,
+      boolean
+    });
+    this.bindings.push(value);
+    return this;
+  }
+
+  /**
+   * @param {string} column
+   * @param {Array} values
+   * @param {boolean} not
+   * @param {string} boolean
+   * @returns {JoinClause}
+   * @private
+   */
+  _onIn(column, values, not, boolean) {
+    if (!Array.isArray(values)) {
+      throw new Error(`onIn attend un tableau de valeurs pour la colonne '${column}'`);
+    }
+
+    this.conditions.push({
+      type: 'in',
+      column,
+      value: values,
+      not,
+      boolean
+    });
+    this.bindings.push(...values);
+    return this;
+  }
+}
+
+/**
+ * @param {string} operator
+ * @returns {string}
+ * @private
+ */
+function assertOperator(operator) {
+  const normalized = String(operator).trim().toLowerCase();
+
+  if (!OPERATORS.includes(normalized)) {
+    throw new Error(`Opérateur non autorisé: ${operator}`);
+  }
+
+  return normalized;
+}
+
+/**
+ * @param {string} direction
+ * @returns {string}
+ * @private
+ */
+function assertDirection(direction) {
+  const normalized = String(direction).trim().toLowerCase();
+
+  if (normalized !== 'asc' && normalized !== 'desc') {
+    throw new Error(`Direction de tri invalide: ${direction}`);
+  }
+
+  return normalized;
+}
+
+/**
+ * @param {Array} columns
+ * @returns {Array}
+ * @private
+ */
+function normalizeColumns(columns) {
+  const normalized = [];
+
+  for (const column of [].concat(...columns)) {
+    if (column && Object.getPrototypeOf(column) === Object.prototype && !column[DESCRIPTOR]) {
+      for (const [alias, value] of Object.entries(column)) {
+        normalized.push({ [DESCRIPTOR]: true, type: 'alias', alias, value });
+      }
+    } else {
+      normalized.push(column);
+    }
+  }
+
+  return normalized;
+}
+
+/**
+ * @param {Object} row
+ * @param {string|Raw} column
+ * @returns {any}
+ * @private
+ */
+function pickValue(row, column) {
+  if (typeof column === 'string') {
+    const aliased = column.match(/^(.+?)\s+as\s+(.+)$/i);
+    const key = (aliased ? aliased[2] : column).trim().split('.').pop();
+
+    if (key in row) {
+      return row[key];
+    }
+  }
+
+  return Object.values(row)[0];
+}
+
+/**
+ * @param {any} value
+ * @returns {any}
+ * @private
+ */
+function cloneValue(value) {
+  if (value instanceof QueryBuilder) {
+    return value.clone();
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(cloneValue);
+  }
+
+  if (value && Object.getPrototypeOf(value) === Object.prototype) {
+    const copy = {};
+    for (const key of Reflect.ownKeys(value)) {
+      copy[key] = cloneValue(value[key]);
+    }
+    return copy;
+  }
+
+  return value;
+}
+
+/**
+ * @param {string} tableName
+ * @param {string} column
+ * @returns {string}
+ * @private
+ */
+function qualifyColumn(tableName, column) {
+  if (column.includes('.')) {
+    return column;
+  }
+
+  const aliased = String(tableName).match(/^(.+?)\s+as\s+(.+)$/i);
+  return `${aliased ? aliased[2].trim() : tableName}.${column}`;
+}
+
+/**
+ * @param {Object} row
+ * @param {Array} orders
+ * @returns {string}
+ * @private
+ */
+function encodeCursor(row, orders) {
+  const values = orders.map(order => row[String(order.column).split('.').pop()]);
+  return Buffer.from(JSON.stringify(values)).toString('base64');
+}
+
+/**
+ * @param {string} cursor
+ * @param {number} length
+ * @returns {Array}
+ * @private
+ */
+function decodeCursor(cursor, length) {
+  let values;
+
+  try {
+    values = JSON.parse(Buffer.from(cursor, 'base64').toString('utf8'));
+  } catch (err) {
+    throw new Error('Curseur de pagination invalide');
+  }
+
+  if (!Array.isArray(values) || values.length !== length) {
+    throw new Error('Curseur de pagination invalide');
+  }
+
+  return values;
+}
+
+/**
+ * @param {string} fn
+ * @param {any} value
+ * @returns {any}
+ * @private
+ */
+function normalizeAggregate(fn, value) {
+  if (value === null || value === undefined) {
+    return fn === 'count' ? 0 : null;
+  }
+
+  if (fn === 'count' && typeof value !== 'number') {
+    const number = Number(value);
+    return Number.isSafeInteger(number) ? number : value;
+  }
+
+  return value;
+}
+
+for (const name of Object.getOwnPropertyNames(QueryBuilder.prototype)) {
+  if (name.startsWith('_') || TERMINAL_METHODS.includes(name)) {
+    continue;
+  }
+
+  const method = QueryBuilder.prototype[name];
+  QueryBuilder.prototype[name] = function(...args) {
+    if (!this._immutable) {
+      return method.apply(this, args);
+    }
+
+    const copy = this.clone();
+    copy._immutable = false;
+
+    try {
+      return method.apply(copy, args);
+    } finally {
+      copy._immutable = true;
+    }
+  };
 }
 
 module.exports = QueryBuilder; 
\ No newline at end of file
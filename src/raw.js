@@ -0,0 +1,32 @@
+class Raw {
+  /**
+   * @param {string} sql
+   * @param {Array|any} bindings
+   * @param {Client} client
+   */
+  constructor(sql, bindings = [], client = null) {
+    this.sql = sql;
+    this.bindings = Array.isArray(bindings) ? bindings : [bindings];
+    this.client = client;
+  }
+
+  /**
+   * @returns {Promise<Object>}
+   */
+  async execute() {
+    if (!this.client) {
+      throw new Error('Aucun client associé à cette expression brute');
+    }
+
+    return await this.client.query(this.sql, this.bindings);
+  }
+
+  /**
+   * @returns {string}
+   */
+  toString() {
+    return this.sql;
+  }
+}
+
+module.exports = Raw;
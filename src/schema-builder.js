@@ -80,7 +80,8 @@ class TableBuilder {
       primaryKey: null,
       foreignKeys: [],
       unique: [],
-      index: []
+      index: [],
+      fullText: []
     };
   }
 
@@ -210,6 +211,23 @@ class TableBuilder {
     return this;
   }
 
+  /**
+   * @param {string|Array} columns
+   * @param {Object} options
+   * @returns {TableBuilder}
+   */
+  fullText(columns, options = {}) {
+    const cols = Array.isArray(columns) ? columns : [columns];
+    this.constraints.fullText.push({
+      columns: cols,
+      name: options.name,
+      language: options.language,
+      keyIndex: options.keyIndex,
+      catalog: options.catalog
+    });
+    return this;
+  }
+
   /**
    * @param {string} name
    * @param {string} type
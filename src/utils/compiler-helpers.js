@@ -0,0 +1,667 @@
+const Raw = require('../raw');
+const QueryBuilder = require('../query-builder');
+const { collectInsertColumns } = require('./insert-columns');
+
+const ORDERED_WINDOW_FUNCTIONS = ['row_number', 'rank', 'dense_rank', 'lag', 'lead'];
+
+/**
+ * @param {Function} placeholder
+ * @param {Object} options
+ * @returns {Object}
+ */
+function createContext(placeholder, options = {}) {
+  const params = [];
+
+  return {
+    params,
+    version: options.version || null,
+    compileQuery: options.compileQuery,
+    windowOrderFallback: options.windowOrderFallback || null,
+    derivedOrderFallback: options.derivedOrderFallback || null,
+    rowValues: options.rowValues !== false,
+    distinctOn: Boolean(options.distinctOn),
+    escapedPlaceholder: options.escapedPlaceholder || '?',
+    compileFullText: options.compileFullText,
+    wrapSegment: options.wrapSegment || (segment => segment),
+    parameter(value) {
+      params.push(value);
+      return placeholder(params.length);
+    }
+  };
+}
+
+/**
+ * @param {string|null} version
+ * @param {string} minimum
+ * @returns {boolean}
+ */
+function isVersionBefore(version, minimum) {
+  if (!version) {
+    return false;
+  }
+
+  const current = String(version).split('.').map(part => parseInt(part, 10) || 0);
+  const required = minimum.split('.').map(part => parseInt(part, 10) || 0);
+
+  for (let i = 0; i < required.length; i++) {
+    const part = current[i] || 0;
+    if (part !== required[i]) {
+      return part < required[i];
+    }
+  }
+
+  return false;
+}
+
+/**
+ * @param {Raw} raw
+ * @param {Object} ctx
+ * @returns {string}
+ */
+function compileRaw(raw, ctx) {
+  if (!raw.bindings.length) {
+    return raw.sql.replace(/\\\?/g, () => ctx.escapedPlaceholder);
+  }
+
+  let index = 0;
+  const sql = raw.sql.replace(/\\\?|\?/g, match => {
+    if (match === '\\?') {
+      return ctx.escapedPlaceholder;
+    }
+
+    if (index >= raw.bindings.length) {
+      throw new Error(`Nombre de valeurs insuffisant pour l'expression brute: ${raw.sql}`);
+    }
+
+    return ctx.parameter(raw.bindings[index++]);
+  });
+
+  if (index !== raw.bindings.length) {
+    throw new Error(`Trop de valeurs fournies pour l'expression brute: ${raw.sql}`);
+  }
+
+  return sql;
+}
+
+/**
+ * @param {any} value
+ * @param {Object} ctx
+ * @returns {string}
+ */
+function compileValue(value, ctx) {
+  if (value instanceof Raw) {
+    return compileRaw(value, ctx);
+  }
+
+  if (value instanceof QueryBuilder) {
+    return compileSubquery(value, ctx);
+  }
+
+  return ctx.parameter(value);
+}
+
+/**
+ * @param {string} table
+ * @param {Object} ctx
+ * @returns {string}
+ */
+function compileTableReference(table, ctx) {
+  const aliased = String(table).match(/^(.+?)\s+as\s+(.+)$/i);
+  return aliased ? ctx.wrapSegment(aliased[2].trim()) : compileColumn(table, ctx);
+}
+
+/**
+ * @param {string} table
+ * @returns {string}
+ */
+function stripTableAlias(table) {
+  return String(table).replace(/\s+as\s+.+$/i, '').trim();
+}
+
+/**
+ * @param {Array} joins
+ * @param {Array} where
+ * @param {Object} ctx
+ * @param {Function} compileJoin
+ * @returns {Object}
+ */
+function compileJoinSource(joins, where, ctx, compileJoin) {
+  const clauses = [];
+  let source = null;
+
+  if (joins && joins.length) {
+    const [first, ...rest] = joins;
+
+    if (!['inner', 'cross'].includes(first.type)) {
+      throw new Error('La première jointure d\'un UPDATE ou d\'un DELETE doit être une jointure interne');
+    }
+
+    source = [compileTable(first.table, ctx), ...rest.map(join => compileJoin(join, ctx))].join(' ');
+
+    if (first.conditions && first.conditions.length) {
+      clauses.push(compileWhere(first.conditions, ctx));
+    }
+  }
+
+  if (where && where.length) {
+    clauses.push(compileWhere(where, ctx));
+  }
+
+  return {
+    source,
+    where: clauses.length > 1 ? clauses.map(clause => `(${clause})`).join(' AND ') : clauses[0] || null
+  };
+}
+
+/**
+ * @param {Object} statements
+ * @param {Object} ctx
+ * @returns {string}
+ */
+function compileInsertSelect(statements, ctx) {
+  if (statements.onConflict) {
+    throw new Error('onConflict() n\'est pas supporté avec fromSelect()');
+  }
+
+  const query = statements.insertSelect;
+  return query instanceof Raw ? compileRaw(query, ctx) : ctx.compileQuery(query, ctx);
+}
+
+/**
+ * @param {Array} columns
+ * @param {Object} ctx
+ * @returns {string}
+ */
+function compileInsertColumns(columns, ctx) {
+  if (!columns || !columns.length) {
+    return '';
+  }
+
+  return ` (${columns.map(column => compileColumn(column, ctx)).join(', ')})`;
+}
+
+/**
+ * @param {Array} rows
+ * @param {Array} columns
+ * @param {Object} ctx
+ * @param {string} missing
+ * @returns {Array}
+ */
+function compileInsertValues(rows, columns, ctx, missing = 'DEFAULT') {
+  return rows.map(row => {
+    const values = columns.map(column => {
+      return row[column] === undefined ? missing : compileValue(row[column], ctx);
+    });
+    return `(${values.join(', ')})`;
+  });
+}
+
+/**
+ * @param {Object} data
+ * @param {Array} increments
+ * @param {Object} ctx
+ * @returns {Array}
+ */
+function compileSetClauses(data, increments, ctx) {
+  const setClauses = Object.keys(data || {}).map(column => {
+    return `${compileColumn(column, ctx)} = ${compileValue(data[column], ctx)}`;
+  });
+
+  for (const { column, operator, amount } of increments || []) {
+    const wrapped = compileColumn(column, ctx);
+    setClauses.push(`${wrapped} = ${wrapped} ${operator} ${ctx.parameter(amount)}`);
+  }
+
+  return setClauses;
+}
+
+/**
+ * @param {string} open
+ * @param {string} close
+ * @returns {Function}
+ */
+function createIdentifierWrapper(open, close) {
+  return segment => `${open}${segment.split(close).join(close + close)}${close}`;
+}
+
+/**
+ * @param {Function} wrapIdentifier
+ * @returns {Object}
+ */
+function createSchemaWrappers(wrapIdentifier) {
+  return {
+    wrapColumns: columns => columns.map(column => wrapIdentifier(column)).join(', '),
+    wrapName: name => wrapIdentifier(String(name).replace(/\./g, '_'))
+  };
+}
+
+/**
+ * @param {string} value
+ * @param {Function} wrapSegment
+ * @returns {string}
+ */
+function quoteIdentifier(value, wrapSegment) {
+  const identifier = String(value).trim();
+  const aliased = identifier.match(/^(.+?)\s+as\s+(.+)$/i);
+
+  if (aliased) {
+    return `${quoteIdentifier(aliased[1], wrapSegment)} AS ${wrapSegment(aliased[2].trim())}`;
+  }
+
+  if (typeof value === 'number' || /^-?\d+(\.\d+)?$/.test(identifier)) {
+    return identifier;
+  }
+
+  return identifier
+    .split('.')
+    .map(segment => segment === '*' ? segment : wrapSegment(segment))
+    .join('.');
+}
+
+/**
+ * @param {string|Raw} column
+ * @param {Object} ctx
+ * @returns {string}
+ */
+function compileColumn(column, ctx) {
+  if (column instanceof Raw) {
+    return compileRaw(column, ctx);
+  }
+
+  return quoteIdentifier(column, ctx.wrapSegment);
+}
+
+/**
+ * @param {QueryBuilder} builder
+ * @param {Object} ctx
+ * @returns {string}
+ */
+function compileSubquery(builder, ctx) {
+  const sql = `(${ctx.compileQuery(builder, ctx)})`;
+
+  if (builder.statements.alias) {
+    return `${sql} AS ${ctx.wrapSegment(builder.statements.alias)}`;
+  }
+
+  return sql;
+}
+
+/**
+ * @param {string|Raw|QueryBuilder} table
+ * @param {Object} ctx
+ * @returns {string}
+ */
+function compileTable(table, ctx) {
+  if (table instanceof QueryBuilder) {
+    return compileSubquery(table, ctx);
+  }
+
+  return compileColumn(table, ctx);
+}
+
+/**
+ * @param {Array} columns
+ * @param {Object} ctx
+ * @returns {string}
+ */
+function compileColumns(columns, ctx) {
+  return columns.map(column => {
+    if (column && column.type === 'aggregate') {
+      return compileAggregate(column, ctx);
+    }
+
+    if (column && column.type === 'window') {
+      return compileWindow(column, ctx);
+    }
+
+    if (column && column.type === 'alias') {
+      const value = column.value instanceof QueryBuilder
+        ? `(${ctx.compileQuery(column.value, ctx)})`
+        : compileColumn(column.value, ctx);
+      return `${value} AS ${ctx.wrapSegment(column.alias)}`;
+    }
+
+    if (column && column.type === 'rank') {
+      return `${ctx.compileFullText(column, ctx, true)} AS ${ctx.wrapSegment(column.alias)}`;
+    }
+
+    if (column instanceof QueryBuilder) {
+      return compileSubquery(column, ctx);
+    }
+
+    return compileColumn(column, ctx);
+  }).join(', ');
+}
+
+/**
+ * @param {Object} statements
+ * @param {Object} ctx
+ * @returns {string|null}
+ */
+function compileDistinct(statements, ctx) {
+  if (statements.distinctOn && statements.distinctOn.length) {
+    if (!ctx.distinctOn) {
+      throw new Error('DISTINCT ON n\'est supporté que par PostgreSQL');
+    }
+    return `DISTINCT ON (${compileColumns(statements.distinctOn, ctx)})`;
+  }
+
+  return statements.distinct ? 'DISTINCT' : null;
+}
+
+/**
+ * @param {Object} aggregate
+ * @param {Object} ctx
+ * @returns {string}
+ */
+function compileAggregate(aggregate, ctx) {
+  const { fn, column, alias, distinct } = aggregate;
+  const target = column === '*' ? column : compileColumn(column, ctx);
+
+  return `${fn.toUpperCase()}(${distinct ? 'DISTINCT ' : ''}${target}) AS ${ctx.wrapSegment(alias)}`;
+}
+
+/**
+ * @param {Object} window
+ * @param {Object} ctx
+ * @returns {string}
+ */
+function compileWindow(window, ctx) {
+  const { fn, args, alias, partitionBy, orderBy } = window;
+  const compiledArgs = args.map((arg, index) => {
+    if (index === 0) {
+      return arg === '*' ? arg : compileColumn(arg, ctx);
+    }
+    return index === 1 ? String(arg) : compileValue(arg, ctx);
+  });
+  const over = [];
+
+  if (partitionBy.length) {
+    over.push(`PARTITION BY ${compileColumns(partitionBy, ctx)}`);
+  }
+
+  if (orderBy.length) {
+    over.push(`ORDER BY ${compileOrderBy(orderBy, ctx)}`);
+  } else if (ctx.windowOrderFallback && ORDERED_WINDOW_FUNCTIONS.includes(fn)) {
+    over.push(`ORDER BY ${ctx.windowOrderFallback}`);
+  }
+
+  return `${fn.toUpperCase()}(${compiledArgs.join(', ')}) OVER (${over.join(' ')}) AS ${ctx.wrapSegment(alias)}`;
+}
+
+/**
+ * @param {Array} columns
+ * @returns {boolean}
+ */
+function hasWindowFunction(columns) {
+  return Boolean(columns && columns.some(column => column && column.type === 'window'));
+}
+
+/**
+ * @param {Array} orders
+ * @param {Object} ctx
+ * @returns {string}
+ */
+function compileOrderBy(orders, ctx) {
+  return orders.map(order => {
+    if (order.type === 'raw') {
+      return compileRaw(order.value, ctx);
+    }
+
+    return `${compileColumn(order.column, ctx)} ${order.direction.toUpperCase()}`;
+  }).join(', ');
+}
+
+/**
+ * @param {Array} ctes
+ * @param {Object} ctx
+ * @param {boolean} recursiveKeyword
+ * @returns {string}
+ */
+function compileWith(ctes, ctx, recursiveKeyword = true) {
+  const recursive = recursiveKeyword && ctes.some(cte => cte.recursive);
+  const definitions = ctes.map(cte => {
+    const columns = cte.columns && cte.columns.length
+      ? ` (${cte.columns.map(column => ctx.wrapSegment(column)).join(', ')})`
+      : '';
+    const query = cte.query instanceof Raw
+      ? compileRaw(cte.query, ctx)
+      : ctx.compileQuery(cte.query, ctx);
+
+    return `${ctx.wrapSegment(cte.name)}${columns} AS (${query})`;
+  });
+
+  return `WITH ${recursive ? 'RECURSIVE ' : ''}${definitions.join(', ')}`;
+}
+
+/**
+ * @param {Array} unions
+ * @param {Object} ctx
+ * @param {boolean} parenthesize
+ * @returns {string}
+ */
+function compileUnions(unions, ctx, parenthesize = true) {
+  return unions.map((union, index) => {
+    const { statements } = union.query;
+    const sql = ctx.compileQuery(union.query, ctx);
+    const ordered = Boolean(statements.orderBy && statements.orderBy.length);
+    const bounded = (statements.limit !== null && statements.limit !== undefined) ||
+      (statements.offset !== null && statements.offset !== undefined);
+    let member = sql;
+
+    if (parenthesize) {
+      member = `(${sql})`;
+    } else if (ordered || bounded || (statements.union && statements.union.length)) {
+      const derived = ordered && !bounded && ctx.derivedOrderFallback
+        ? `${sql} ${ctx.derivedOrderFallback}`
+        : sql;
+      member = `SELECT * FROM (${derived}) AS union_${index + 1}`;
+    }
+
+    return `${union.type.toUpperCase()} ${member}`;
+  }).join(' ');
+}
+
+/**
+ * @param {Object} returning
+ * @param {Object} ctx
+ * @param {string} prefix
+ * @returns {string}
+ */
+function compileReturning(returning, ctx, prefix) {
+  if (!prefix) {
+    return compileColumns(returning.columns, ctx);
+  }
+
+  return returning.columns.map(column => {
+    return column instanceof Raw ? compileRaw(column, ctx) : `${prefix}.${compileColumn(column, ctx)}`;
+  }).join(', ');
+}
+
+/**
+ * @param {Array|Object|null} merge
+ * @param {Array} columns
+ * @param {Object} ctx
+ * @param {Function} reference
+ * @returns {string}
+ */
+function compileMergeAssignments(merge, columns, ctx, reference) {
+  if (merge && !Array.isArray(merge)) {
+    return Object.keys(merge)
+      .map(column => `${compileColumn(column, ctx)} = ${compileValue(merge[column], ctx)}`)
+      .join(', ');
+  }
+
+  return (merge || columns)
+    .map(column => compileColumn(column, ctx))
+    .map(column => `${column} = ${reference(column)}`)
+    .join(', ');
+}
+
+/**
+ * @param {string} sql
+ * @param {Array} bindings
+ * @param {Function} escape
+ * @param {RegExp|null} numbered
+ * @param {number} base
+ * @returns {string}
+ */
+function interpolateBindings(sql, bindings, escape, numbered = null, base = 1) {
+  if (numbered) {
+    return sql.replace(numbered, (match, index) => {
+      const position = parseInt(index, 10) - base;
+      return position < bindings.length ? escape(bindings[position]) : match;
+    });
+  }
+
+  let index = 0;
+  return sql.replace(/'(?:[^'\\]|\\[\s\S]|'')*'|\\\?|\?/g, match => {
+    if (match !== '?') {
+      return match.replace(/\\\?/g, '?');
+    }
+    return index < bindings.length ? escape(bindings[index++]) : match;
+  });
+}
+
+/**
+ * @param {string} value
+ * @returns {string}
+ */
+function quoteString(value) {
+  return `'${value.replace(/'/g, "''")}'`;
+}
+
+/**
+ * @param {Array} clauses
+ * @param {Object} ctx
+ * @returns {string}
+ */
+function compileWhere(clauses, ctx) {
+  const compiled = [];
+
+  for (let i = 0; i < clauses.length; i++) {
+    const clause = clauses[i];
+    const sql = compileWhereClause(clause, ctx);
+
+    if (i === 0) {
+      compiled.push(sql);
+    } else {
+      compiled.push(`${clause.boolean} ${sql}`);
+    }
+  }
+
+  return compiled.join(' ');
+}
+
+/**
+ * @param {Object} clause
+ * @param {Object} ctx
+ * @returns {string}
+ * @private
+ */
+function compileWhereClause(clause, ctx) {
+  const { operator, value, not } = clause;
+
+  if (clause.type === 'raw') {
+    return compileRaw(value, ctx);
+  }
+
+  if (clause.type === 'nested') {
+    return `(${compileWhere(clause.clauses, ctx)})`;
+  }
+
+  if (clause.type === 'keyset') {
+    return compileKeyset(clause, ctx);
+  }
+
+  if (clause.type === 'exists') {
+    return `${not ? 'NOT EXISTS' : 'EXISTS'} (${ctx.compileQuery(value, ctx)})`;
+  }
+
+  if (clause.type === 'fullText') {
+    return ctx.compileFullText(clause, ctx, false);
+  }
+
+  const column = compileColumn(clause.column, ctx);
+
+  switch (clause.type) {
+    case 'column':
+      return `${column} ${operator} ${compileColumn(clause.value, ctx)}`;
+    case 'in': {
+      if (value instanceof QueryBuilder) {
+        return `${column} ${not ? 'NOT IN' : 'IN'} (${ctx.compileQuery(value, ctx)})`;
+      }
+      if (!value.length) {
+        return not ? '1 = 1' : '1 = 0';
+      }
+      const placeholders = value.map(item => compileValue(item, ctx));
+      return `${column} ${not ? 'NOT IN' : 'IN'} (${placeholders.join(', ')})`;
+    }
+    case 'null':
+      return `${column} ${not ? 'IS NOT NULL' : 'IS NULL'}`;
+    case 'between':
+      return `${column} ${not ? 'NOT BETWEEN' : 'BETWEEN'} ` +
+        `${compileValue(value[0], ctx)} AND ${compileValue(value[1], ctx)}`;
+    default:
+      return `${column} ${operator} ${compileValue(value, ctx)}`;
+  }
+}
+
+/**
+ * @param {Object} clause
+ * @param {Object} ctx
+ * @returns {string}
+ * @private
+ */
+function compileKeyset(clause, ctx) {
+  const { columns, operators, values } = clause;
+  const uniform = operators.every(operator => operator === operators[0]);
+
+  if (ctx.rowValues && uniform && columns.length > 1) {
+    const placeholders = values.map(value => compileValue(value, ctx));
+    return `(${columns.map(column => compileColumn(column, ctx)).join(', ')}) ${operators[0]} (${placeholders.join(', ')})`;
+  }
+
+  const branches = columns.map((column, index) => {
+    const equalities = columns.slice(0, index).map((previous, position) => {
+      return `${compileColumn(previous, ctx)} = ${compileValue(values[position], ctx)}`;
+    });
+    const comparison = `${compileColumn(column, ctx)} ${operators[index]} ${compileValue(values[index], ctx)}`;
+
+    return equalities.length ? `(${[...equalities, comparison].join(' AND ')})` : comparison;
+  });
+
+  return `(${branches.join(' OR ')})`;
+}
+
+module.exports = {
+  createContext,
+  createIdentifierWrapper,
+  createSchemaWrappers,
+  quoteIdentifier,
+  isVersionBefore,
+  compileRaw,
+  compileValue,
+  compileSetClauses,
+  compileTableReference,
+  stripTableAlias,
+  compileJoinSource,
+  compileInsertSelect,
+  compileInsertColumns,
+  collectInsertColumns,
+  compileInsertValues,
+  compileColumn,
+  compileColumns,
+  compileDistinct,
+  compileOrderBy,
+  compileSubquery,
+  hasWindowFunction,
+  compileTable,
+  compileWith,
+  compileUnions,
+  compileMergeAssignments,
+  compileReturning,
+  interpolateBindings,
+  quoteString,
+  compileWhere
+};
@@ -0,0 +1,19 @@
+/**
+ * @param {Array} rows
+ * @returns {Array}
+ */
+function collectInsertColumns(rows) {
+  const columns = new Set();
+
+  for (const row of rows) {
+    for (const column of Object.keys(row)) {
+      columns.add(column);
+    }
+  }
+
+  return [...columns];
+}
+
+module.exports = {
+  collectInsertColumns
+};
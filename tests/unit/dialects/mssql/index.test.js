@@ -0,0 +1,52 @@
+const { executeQuery } = require('../../../../src/dialects/mssql');
+
+/**
+ * @param {Object} result
+ * @returns {Object}
+ */
+function createPool(result = { recordset: [], recordsets: [[]], rowsAffected: [0] }) {
+  const sent = [];
+
+  return {
+    sent,
+    request() {
+      const inputs = {};
+      return {
+        input(name, value) {
+          inputs[name] = value;
+        },
+        async query(sql) {
+          sent.push({ sql, inputs });
+          return result;
+        }
+      };
+    }
+  };
+}
+
+describe('mssql executeQuery', () => {
+  test('turns raw question marks into named parameters', async () => {
+    const pool = createPool();
+    await executeQuery(pool, 'SELECT * FROM users WHERE id = ? AND role = ?', [1, 'admin']);
+
+    expect(pool.sent[0]).toEqual({
+      sql: 'SELECT * FROM users WHERE id = @p0 AND role = @p1',
+      inputs: { p0: 1, p1: 'admin' }
+    });
+  });
+
+  test('sends escaped question marks as literals', async () => {
+    const pool = createPool();
+    await executeQuery(pool, "SELECT * FROM notes WHERE body LIKE '%\\?%' AND id = @p0", [5]);
+
+    expect(pool.sent[0].sql).toBe("SELECT * FROM notes WHERE body LIKE '%?%' AND id = @p0");
+  });
+
+  test('sums affected rows and merges OUTPUT record sets', async () => {
+    const pool = createPool({ recordset: [{ id: 1 }], recordsets: [[{ id: 1 }], [{ id: 2 }]], rowsAffected: [1, 1] });
+
+    await expect(executeQuery(pool, 'MERGE ...; MERGE ...;', [], { method: 'insert' })).resolves.toEqual({ rowCount: 2 });
+    await expect(executeQuery(pool, 'MERGE ...; MERGE ...;', [], { method: 'insert', returning: true }))
+      .resolves.toEqual([{ id: 1 }, { id: 2 }]);
+  });
+});
@@ -0,0 +1,122 @@
+const Raw = require('../../../../src/raw');
+const { createBuilderFactory } = require('../../helpers/fake-client');
+
+const db = createBuilderFactory('mssql');
+
+describe('mssql query compiler', () => {
+  test('compiles nested where groups', () => {
+    const query = db('users')
+      .where('active', true)
+      .where(q => q.where('role', 'admin').orWhere('age', '>', 30));
+
+    expect(query.toSQL()).toMatchObject({
+      sql: 'SELECT * FROM [users] WHERE [active] = @p0 AND ([role] = @p1 OR [age] > @p2)',
+      bindings: [true, 'admin', 30]
+    });
+  });
+
+  test('numbers raw bindings and keeps escaped question marks escaped', () => {
+    const query = db('notes').select(new Raw('count(*) as total')).whereRaw("body LIKE '%\\?%' AND id = ?", [1]);
+
+    expect(query.toSQL()).toMatchObject({
+      sql: "SELECT count(*) as total FROM [notes] WHERE body LIKE '%\\?%' AND id = @p0",
+      bindings: [1]
+    });
+    expect(query.toString()).toBe("SELECT count(*) as total FROM [notes] WHERE body LIKE '%?%' AND id = 1");
+  });
+
+  test('compiles common table expressions without RECURSIVE', () => {
+    const { sql } = db('tree')
+      .withRecursive('tree', ['id', 'parent_id'], db('nodes').select('id', 'parent_id').whereNull('parent_id'))
+      .toSQL();
+
+    expect(sql).toBe('WITH [tree] ([id], [parent_id]) AS (SELECT [id], [parent_id] FROM [nodes] WHERE [parent_id] IS NULL) SELECT * FROM [tree]');
+  });
+
+  test('compiles unions with OFFSET ... FETCH', () => {
+    const query = db('a').select('id').unionAll(db('b').select('id')).orderBy('id').limit(10);
+
+    expect(query.toSQL()).toMatchObject({
+      sql: 'SELECT [id] FROM [a] UNION ALL SELECT [id] FROM [b] ORDER BY [id] ASC OFFSET @p0 ROWS FETCH NEXT @p1 ROWS ONLY',
+      bindings: [0, 10]
+    });
+  });
+
+  test('adds an ORDER BY to unordered window functions', () => {
+    const { sql } = db('orders').select('id').rowNumber('rn').toSQL();
+
+    expect(sql).toBe('SELECT [id], ROW_NUMBER() OVER (ORDER BY (SELECT NULL)) AS [rn] FROM [orders]');
+  });
+
+  test('compiles upserts as MERGE', () => {
+    const { sql, bindings } = db('users').insert({ email: 'a@b.c', name: 'A' }).onConflict('email').merge(['name']).toSQL();
+
+    expect(sql).toBe('MERGE INTO [users] WITH (HOLDLOCK) AS target USING (VALUES (@p0, @p1)) AS source ([email], [name]) ' +
+      'ON target.[email] = source.[email] WHEN MATCHED THEN UPDATE SET [name] = source.[name] ' +
+      'WHEN NOT MATCHED THEN INSERT ([email], [name]) VALUES (source.[email], source.[name]);');
+    expect(bindings).toEqual(['a@b.c', 'A']);
+  });
+
+  test('runs one MERGE per set of provided keys', () => {
+    const { sql, bindings } = db('users')
+      .insert([{ email: 'a', name: 'A' }, { email: 'b' }])
+      .onConflict('email')
+      .ignore()
+      .toSQL();
+
+    expect(sql).toBe('MERGE INTO [users] WITH (HOLDLOCK) AS target USING (VALUES (@p0, @p1)) AS source ([email], [name]) ' +
+      'ON target.[email] = source.[email] WHEN NOT MATCHED THEN INSERT ([email], [name]) VALUES (source.[email], source.[name]); ' +
+      'MERGE INTO [users] WITH (HOLDLOCK) AS target USING (VALUES (@p2)) AS source ([email]) ' +
+      'ON target.[email] = source.[email] WHEN NOT MATCHED THEN INSERT ([email]) VALUES (source.[email]);');
+    expect(bindings).toEqual(['a', 'A', 'b']);
+  });
+
+  test('requires the conflict columns in every upserted row', () => {
+    expect(() => db('users').insert({ name: 'A' }).onConflict('email').merge().toSQL())
+      .toThrow('Chaque ligne de onConflict() doit fournir les colonnes de conflit : email');
+  });
+
+  test('compiles OUTPUT on writes', () => {
+    expect(db('users').insert({ name: 'A' }).returning(['id', 'name']).toSQL().sql)
+      .toBe('INSERT INTO [users] ([name]) OUTPUT INSERTED.[id], INSERTED.[name] VALUES (@p0)');
+    expect(db('users').where('id', 1).update({ name: 'B' }).returning('id').toSQL().sql)
+      .toBe('UPDATE [users] SET [name] = @p0 OUTPUT INSERTED.[id] WHERE [id] = @p1');
+    expect(db('users').where('id', 1).delete().returning('id').toSQL().sql)
+      .toBe('DELETE FROM [users] OUTPUT DELETED.[id] WHERE [id] = @p0');
+  });
+
+  test('compiles joined updates and deletes', () => {
+    const update = db('orders')
+      .join('users', 'users.id', 'orders.user_id')
+      .where('users.banned', true)
+      .update({ status: 'void' })
+      .toSQL();
+    const remove = db('orders')
+      .join('users', 'users.id', 'orders.user_id')
+      .where('users.banned', true)
+      .delete()
+      .toSQL();
+
+    expect(update.sql).toBe('UPDATE [orders] SET [status] = @p0 FROM [orders] INNER JOIN [users] ON [users].[id] = [orders].[user_id] ' +
+      'WHERE [users].[banned] = @p1');
+    expect(remove.sql).toBe('DELETE [orders] FROM [orders] INNER JOIN [users] ON [users].[id] = [orders].[user_id] ' +
+      'WHERE [users].[banned] = @p0');
+  });
+
+  test('compiles row locks as table hints', () => {
+    const locked = db('jobs').where('status', 'new').forUpdate().skipLocked().limit(1).toSQL();
+
+    expect(locked).toMatchObject({
+      sql: 'SELECT TOP (@p0) * FROM [jobs] WITH (UPDLOCK, READPAST) WHERE [status] = @p1 ORDER BY (SELECT NULL)',
+      bindings: [1, 'new']
+    });
+    expect(db('jobs').forShare().noWait().toSQL().sql).toBe('SELECT * FROM [jobs] WITH (HOLDLOCK, NOWAIT)');
+  });
+
+  test('compiles full-text search with FREETEXT and CONTAINS', () => {
+    expect(db('posts').whereFullText(['title', 'body'], 'hello').toSQL().sql)
+      .toBe('SELECT * FROM [posts] WHERE FREETEXT(([title], [body]), @p0)');
+    expect(db('posts').whereFullText('body', 'hello', { mode: 'boolean' }).toSQL().sql)
+      .toBe('SELECT * FROM [posts] WHERE CONTAINS(([body]), @p0)');
+  });
+});
@@ -0,0 +1,109 @@
+const Raw = require('../../../../src/raw');
+const { createBuilderFactory } = require('../../helpers/fake-client');
+
+const db = createBuilderFactory('mysql');
+
+describe('mysql query compiler', () => {
+  test('compiles nested where groups', () => {
+    const query = db('users')
+      .where('active', true)
+      .where(q => q.where('role', 'admin').orWhere('age', '>', 30));
+
+    expect(query.toSQL()).toMatchObject({
+      sql: 'SELECT * FROM `users` WHERE `active` = ? AND (`role` = ? OR `age` > ?)',
+      bindings: [true, 'admin', 30]
+    });
+  });
+
+  test('compiles raw expressions', () => {
+    const query = db('users').select(new Raw('count(*) as total')).whereRaw('age > ?', [18]);
+
+    expect(query.toSQL()).toMatchObject({
+      sql: 'SELECT count(*) as total FROM `users` WHERE age > ?',
+      bindings: [18]
+    });
+  });
+
+  test('keeps escaped question marks escaped for the driver', () => {
+    const query = db('notes').whereRaw("body LIKE '%\\?%' AND id = ?", [1]);
+
+    expect(query.toSQL().sql).toBe("SELECT * FROM `notes` WHERE body LIKE '%\\?%' AND id = ?");
+    expect(query.toString()).toBe("SELECT * FROM `notes` WHERE body LIKE '%?%' AND id = 1");
+  });
+
+  test('compiles common table expressions', () => {
+    const query = db('recent')
+      .with('recent', db('orders').where('total', '>', 100))
+      .select('user_id');
+
+    expect(query.toSQL()).toMatchObject({
+      sql: 'WITH `recent` AS (SELECT * FROM `orders` WHERE `total` > ?) SELECT `user_id` FROM `recent`',
+      bindings: [100]
+    });
+  });
+
+  test('compiles unions with ordering and limit', () => {
+    const { sql } = db('a').select('id').unionAll(db('b').select('id')).orderBy('id').limit(10).toSQL();
+
+    expect(sql).toBe('SELECT `id` FROM `a` UNION ALL (SELECT `id` FROM `b`) ORDER BY `id` ASC LIMIT ?');
+  });
+
+  test('compiles window functions', () => {
+    const { sql } = db('orders')
+      .select('id')
+      .rowNumber('rn', { partitionBy: 'user_id', orderBy: { column: 'created_at', direction: 'desc' } })
+      .toSQL();
+
+    expect(sql).toBe('SELECT `id`, ROW_NUMBER() OVER (PARTITION BY `user_id` ORDER BY `created_at` DESC) AS `rn` FROM `orders`');
+  });
+
+  test('compiles upserts with ON DUPLICATE KEY UPDATE and INSERT IGNORE', () => {
+    const merge = db('users').insert({ email: 'a@b.c', name: 'A' }).onConflict('email').merge(['name']).toSQL();
+    const ignore = db('users').insert({ email: 'a@b.c', name: 'A' }).onConflict('email').ignore().toSQL();
+
+    expect(merge).toMatchObject({
+      sql: 'INSERT INTO `users` (`email`, `name`) VALUES (?, ?) ON DUPLICATE KEY UPDATE `name` = VALUES(`name`)',
+      bindings: ['a@b.c', 'A']
+    });
+    expect(ignore.sql).toBe('INSERT IGNORE INTO `users` (`email`, `name`) VALUES (?, ?)');
+  });
+
+  test('leaves RETURNING out of the compiled SQL', () => {
+    expect(db('users').insert({ name: 'A' }).returning(['id', 'name']).toSQL().sql)
+      .toBe('INSERT INTO `users` (`name`) VALUES (?)');
+    expect(db('users').where('id', 1).update({ name: 'B' }).returning('id').toSQL().sql)
+      .toBe('UPDATE `users` SET `name` = ? WHERE `id` = ?');
+  });
+
+  test('compiles joined updates and deletes', () => {
+    const update = db('orders')
+      .join('users', 'users.id', 'orders.user_id')
+      .where('users.banned', true)
+      .update({ status: 'void' })
+      .toSQL();
+    const remove = db('orders')
+      .join('users', 'users.id', 'orders.user_id')
+      .where('users.banned', true)
+      .delete()
+      .toSQL();
+
+    expect(update).toMatchObject({
+      sql: 'UPDATE `orders` JOIN `users` ON `users`.`id` = `orders`.`user_id` SET `status` = ? WHERE `users`.`banned` = ?',
+      bindings: ['void', true]
+    });
+    expect(remove.sql).toBe('DELETE `orders` FROM `orders` JOIN `users` ON `users`.`id` = `orders`.`user_id` WHERE `users`.`banned` = ?');
+  });
+
+  test('compiles row locks', () => {
+    expect(db('jobs').where('status', 'new').forUpdate().skipLocked().limit(1).toSQL().sql)
+      .toBe('SELECT * FROM `jobs` WHERE `status` = ? LIMIT ? FOR UPDATE SKIP LOCKED');
+    expect(db('jobs').forShare().noWait().toSQL().sql).toBe('SELECT * FROM `jobs` FOR SHARE NOWAIT');
+  });
+
+  test('compiles full-text search with MATCH ... AGAINST', () => {
+    expect(db('posts').whereFullText(['title', 'body'], 'hello').toSQL().sql)
+      .toBe('SELECT * FROM `posts` WHERE MATCH (`title`, `body`) AGAINST (? IN NATURAL LANGUAGE MODE)');
+    expect(db('posts').whereFullText('body', 'hello', { mode: 'boolean' }).toSQL().sql)
+      .toBe('SELECT * FROM `posts` WHERE MATCH (`body`) AGAINST (? IN BOOLEAN MODE)');
+  });
+});
@@ -0,0 +1,140 @@
+const Raw = require('../../../../src/raw');
+const { createBuilderFactory } = require('../../helpers/fake-client');
+
+const db = createBuilderFactory('pg');
+
+describe('pg query compiler', () => {
+  test('compiles nested where groups', () => {
+    const query = db('users')
+      .where('active', true)
+      .where(q => q.where('role', 'admin').orWhere('age', '>', 30));
+
+    expect(query.toSQL()).toMatchObject({
+      sql: 'SELECT * FROM "users" WHERE "active" = $1 AND ("role" = $2 OR "age" > $3)',
+      bindings: [true, 'admin', 30]
+    });
+  });
+
+  test('numbers raw bindings after the builder bindings', () => {
+    const query = db('users')
+      .select(new Raw('count(*) as total'))
+      .where('active', true)
+      .whereRaw('age > ?', [18]);
+
+    expect(query.toSQL()).toMatchObject({
+      sql: 'SELECT count(*) as total FROM "users" WHERE "active" = $1 AND age > $2',
+      bindings: [true, 18]
+    });
+  });
+
+  test('keeps escaped question marks literal', () => {
+    const { sql } = db('notes').whereRaw("body LIKE '%\\?%' AND id = ?", [1]).toSQL();
+
+    expect(sql).toBe('SELECT * FROM "notes" WHERE body LIKE \'%?%\' AND id = $1');
+  });
+
+  test('compiles common table expressions', () => {
+    const query = db('recent')
+      .with('recent', db('orders').where('total', '>', 100))
+      .select('user_id');
+
+    expect(query.toSQL()).toMatchObject({
+      sql: 'WITH "recent" AS (SELECT * FROM "orders" WHERE "total" > $1) SELECT "user_id" FROM "recent"',
+      bindings: [100]
+    });
+  });
+
+  test('compiles recursive common table expressions', () => {
+    const { sql } = db('tree')
+      .withRecursive('tree', ['id', 'parent_id'], db('nodes').select('id', 'parent_id').whereNull('parent_id'))
+      .toSQL();
+
+    expect(sql).toBe('WITH RECURSIVE "tree" ("id", "parent_id") AS (SELECT "id", "parent_id" FROM "nodes" WHERE "parent_id" IS NULL) SELECT * FROM "tree"');
+  });
+
+  test('compiles unions with ordering and limit', () => {
+    const query = db('a').select('id').unionAll(db('b').select('id')).orderBy('id').limit(10);
+
+    expect(query.toSQL()).toMatchObject({
+      sql: 'SELECT "id" FROM "a" UNION ALL (SELECT "id" FROM "b") ORDER BY "id" ASC LIMIT $1',
+      bindings: [10]
+    });
+  });
+
+  test('compiles window functions', () => {
+    const { sql } = db('orders')
+      .select('id')
+      .rowNumber('rn', { partitionBy: 'user_id', orderBy: { column: 'created_at', direction: 'desc' } })
+      .over('sum', 'total', 'running', { partitionBy: 'user_id' })
+      .toSQL();
+
+    expect(sql).toBe('SELECT "id", ROW_NUMBER() OVER (PARTITION BY "user_id" ORDER BY "created_at" DESC) AS "rn", ' +
+      'SUM("total") OVER (PARTITION BY "user_id") AS "running" FROM "orders"');
+  });
+
+  test('compiles upserts with ON CONFLICT', () => {
+    const merge = db('users').insert({ email: 'a@b.c', name: 'A' }).onConflict('email').merge(['name']).toSQL();
+    const ignore = db('users').insert({ email: 'a@b.c', name: 'A' }).onConflict('email').ignore().toSQL();
+
+    expect(merge).toMatchObject({
+      sql: 'INSERT INTO "users" ("email", "name") VALUES ($1, $2) ON CONFLICT ("email") DO UPDATE SET "name" = EXCLUDED."name"',
+      bindings: ['a@b.c', 'A']
+    });
+    expect(ignore.sql).toBe('INSERT INTO "users" ("email", "name") VALUES ($1, $2) ON CONFLICT ("email") DO NOTHING');
+  });
+
+  test('fills missing insert keys with DEFAULT', () => {
+    const { sql, bindings } = db('users').insert([{ email: 'a', name: 'A' }, { email: 'b' }]).toSQL();
+
+    expect(sql).toBe('INSERT INTO "users" ("email", "name") VALUES ($1, $2), ($3, DEFAULT)');
+    expect(bindings).toEqual(['a', 'A', 'b']);
+  });
+
+  test('compiles RETURNING on writes', () => {
+    expect(db('users').insert({ name: 'A' }).returning(['id', 'name']).toSQL().sql)
+      .toBe('INSERT INTO "users" ("name") VALUES ($1) RETURNING "id", "name"');
+    expect(db('users').where('id', 1).update({ name: 'B' }).returning('id').toSQL().sql)
+      .toBe('UPDATE "users" SET "name" = $1 WHERE "id" = $2 RETURNING "id"');
+    expect(db('users').where('id', 1).delete().returning('id').toSQL().sql)
+      .toBe('DELETE FROM "users" WHERE "id" = $1 RETURNING "id"');
+  });
+
+  test('compiles joined updates and deletes', () => {
+    const update = db('orders')
+      .join('users', 'users.id', 'orders.user_id')
+      .where('users.banned', true)
+      .update({ status: 'void' })
+      .toSQL();
+    const remove = db('orders')
+      .join('users', 'users.id', 'orders.user_id')
+      .where('users.banned', true)
+      .delete()
+      .toSQL();
+
+    expect(update).toMatchObject({
+      sql: 'UPDATE "orders" SET "status" = $1 FROM "users" WHERE ("users"."id" = "orders"."user_id") AND ("users"."banned" = $2)',
+      bindings: ['void', true]
+    });
+    expect(remove.sql).toBe('DELETE FROM "orders" USING "users" WHERE ("users"."id" = "orders"."user_id") AND ("users"."banned" = $1)');
+  });
+
+  test('compiles row locks', () => {
+    expect(db('jobs').where('status', 'new').forUpdate().skipLocked().limit(1).toSQL().sql)
+      .toBe('SELECT * FROM "jobs" WHERE "status" = $1 LIMIT $2 FOR UPDATE SKIP LOCKED');
+    expect(db('jobs').forShare().noWait().toSQL().sql).toBe('SELECT * FROM "jobs" FOR SHARE NOWAIT');
+  });
+
+  test('compiles full-text search and ranking', () => {
+    const search = db('posts').whereFullText(['title', 'body'], 'hello').toSQL();
+    const boolean = db('posts').whereFullText('body', 'hello', { mode: 'boolean' }).toSQL();
+    const ranked = db('posts').select('title').selectRank('body', 'hello', { alias: 'score' }).toSQL();
+
+    expect(search).toMatchObject({
+      sql: 'SELECT * FROM "posts" WHERE to_tsvector(\'english\', coalesce("title", \'\') || \' \' || coalesce("body", \'\')) ' +
+        '@@ websearch_to_tsquery(\'english\', $1)',
+      bindings: ['hello']
+    });
+    expect(boolean.sql).toBe('SELECT * FROM "posts" WHERE to_tsvector(\'english\', "body") @@ to_tsquery(\'english\', $1)');
+    expect(ranked.sql).toBe('SELECT "title", ts_rank(to_tsvector(\'english\', "body"), websearch_to_tsquery(\'english\', $1)) AS "score" FROM "posts"');
+  });
+});
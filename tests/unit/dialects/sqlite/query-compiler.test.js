@@ -0,0 +1,124 @@
+const Raw = require('../../../../src/raw');
+const { createBuilderFactory } = require('../../helpers/fake-client');
+
+const db = createBuilderFactory('sqlite');
+
+describe('sqlite query compiler', () => {
+  test('compiles nested where groups', () => {
+    const query = db('users')
+      .where('active', true)
+      .where(q => q.where('role', 'admin').orWhere('age', '>', 30));
+
+    expect(query.toSQL()).toMatchObject({
+      sql: 'SELECT * FROM "users" WHERE "active" = ? AND ("role" = ? OR "age" > ?)',
+      bindings: [true, 'admin', 30]
+    });
+  });
+
+  test('compiles raw expressions and escaped question marks', () => {
+    const query = db('users')
+      .select(new Raw('count(*) as total'))
+      .whereRaw("note NOT LIKE '%\\?%' AND age > ?", [18]);
+
+    expect(query.toSQL()).toMatchObject({
+      sql: 'SELECT count(*) as total FROM "users" WHERE note NOT LIKE \'%?%\' AND age > ?',
+      bindings: [18]
+    });
+    expect(query.toString()).toBe('SELECT count(*) as total FROM "users" WHERE note NOT LIKE \'%?%\' AND age > 18');
+  });
+
+  test('compiles common table expressions', () => {
+    const { sql } = db('recent')
+      .with('recent', db('orders').where('total', '>', 100))
+      .select('user_id')
+      .toSQL();
+
+    expect(sql).toBe('WITH "recent" AS (SELECT * FROM "orders" WHERE "total" > ?) SELECT "user_id" FROM "recent"');
+  });
+
+  test('compiles unions without parentheses', () => {
+    const { sql } = db('a').select('id').unionAll(db('b').select('id')).orderBy('id').limit(10).toSQL();
+
+    expect(sql).toBe('SELECT "id" FROM "a" UNION ALL SELECT "id" FROM "b" ORDER BY "id" ASC LIMIT ?');
+  });
+
+  test('compiles window functions', () => {
+    const { sql } = db('orders')
+      .select('id')
+      .over('sum', 'total', 'running', { partitionBy: 'user_id' })
+      .toSQL();
+
+    expect(sql).toBe('SELECT "id", SUM("total") OVER (PARTITION BY "user_id") AS "running" FROM "orders"');
+  });
+
+  test('compiles upserts with ON CONFLICT', () => {
+    const merge = db('users').insert({ email: 'a@b.c', name: 'A' }).onConflict('email').merge(['name']).toSQL();
+    const ignore = db('users').insert({ email: 'a@b.c', name: 'A' }).onConflict('email').ignore().toSQL();
+
+    expect(merge.sql).toBe('INSERT INTO "users" ("email", "name") VALUES (?, ?) ON CONFLICT ("email") DO UPDATE SET "name" = excluded."name"');
+    expect(ignore.sql).toBe('INSERT INTO "users" ("email", "name") VALUES (?, ?) ON CONFLICT ("email") DO NOTHING');
+  });
+
+  test('fills missing insert keys with NULL', () => {
+    const { sql } = db('users').insert([{ email: 'a', name: 'A' }, { email: 'b' }]).toSQL();
+
+    expect(sql).toBe('INSERT INTO "users" ("email", "name") VALUES (?, ?), (?, NULL)');
+  });
+
+  test('compiles RETURNING on writes', () => {
+    expect(db('users').insert({ name: 'A' }).returning(['id', 'name']).toSQL().sql)
+      .toBe('INSERT INTO "users" ("name") VALUES (?) RETURNING "id", "name"');
+    expect(db('users').where('id', 1).delete().returning('id').toSQL().sql)
+      .toBe('DELETE FROM "users" WHERE "id" = ? RETURNING "id"');
+  });
+
+  test('compiles joined updates with UPDATE ... FROM and joined deletes with EXISTS', () => {
+    const update = db('orders')
+      .join('users', 'users.id', 'orders.user_id')
+      .where('users.banned', true)
+      .update({ status: 'void' })
+      .toSQL();
+    const remove = db('orders')
+      .join('users', 'users.id', 'orders.user_id')
+      .where('users.banned', true)
+      .delete()
+      .toSQL();
+
+    expect(update).toMatchObject({
+      sql: 'UPDATE "orders" SET "status" = ? FROM "users" WHERE ("users"."id" = "orders"."user_id") AND ("users"."banned" = ?)',
+      bindings: ['void', true]
+    });
+    expect(remove.sql).toBe('DELETE FROM "orders" WHERE EXISTS (SELECT 1 FROM "users" ' +
+      'WHERE ("users"."id" = "orders"."user_id") AND ("users"."banned" = ?))');
+  });
+
+  test('ignores row locks with a warning', () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    try {
+      expect(db('jobs').where('status', 'new').forUpdate().limit(1).toSQL().sql)
+        .toBe('SELECT * FROM "jobs" WHERE "status" = ? LIMIT ?');
+      expect(warn).toHaveBeenCalled();
+    } finally {
+      warn.mockRestore();
+    }
+  });
+
+  test('compiles full-text search with FTS5 MATCH', () => {
+    const search = db('posts').whereFullText(['title', 'body'], 'hello').toSQL();
+    const ranked = db('posts')
+      .select('title')
+      .selectRank('body', 'hello', { alias: 'score' })
+      .whereFullText('body', 'hello', { mode: 'boolean' })
+      .toSQL();
+
+    expect(search).toMatchObject({
+      sql: 'SELECT * FROM "posts" WHERE "posts"."posts" MATCH ?',
+      bindings: ['{"title" "body"} : ("hello")']
+    });
+    expect(ranked).toMatchObject({
+      sql: 'SELECT "title", -"posts"."rank" AS "score" FROM "posts" WHERE "posts"."posts" MATCH ?',
+      bindings: ['{"body"} : (hello)']
+    });
+  });
+});
@@ -0,0 +1,30 @@
+const SchemaBuilder = require('../../../../src/schema-builder');
+const { createFakeClient } = require('../../helpers/fake-client');
+
+describe('sqlite schema compiler', () => {
+  test('creates an FTS5 table for full-text indexes and maps increments() to the rowid', async () => {
+    const client = createFakeClient('sqlite');
+    await new SchemaBuilder(client).createTable('posts', table => {
+      table.increments('id');
+      table.string('title');
+      table.string('author');
+      table.text('body');
+      table.fullText(['title', 'body']);
+    });
+
+    expect(client.queries[0].sql).toBe('CREATE VIRTUAL TABLE "posts" USING fts5("title", "author" UNINDEXED, "body")');
+  });
+
+  test('rejects constraints an FTS5 table cannot hold', async () => {
+    const client = createFakeClient('sqlite');
+    const create = new SchemaBuilder(client).createTable('posts', table => {
+      table.string('slug').notNullable();
+      table.text('body');
+      table.unique('slug');
+      table.fullText('body');
+    });
+
+    await expect(create).rejects.toThrow('La table FTS5 posts ne peut pas porter une contrainte unique, NOT NULL ou DEFAULT sur slug');
+    expect(client.queries).toHaveLength(0);
+  });
+});
@@ -0,0 +1,49 @@
+const QueryBuilder = require('../../../src/query-builder');
+
+/**
+ * @param {string} dialect
+ * @param {Function} respond
+ * @param {Object} config
+ * @returns {Object}
+ */
+function createFakeClient(dialect, respond = () => [], config = {}) {
+  const queries = [];
+
+  const client = {
+    dialect,
+    config: { client: dialect, ...config },
+    dialectModule: {
+      queryCompiler: require(`../../../src/dialects/${dialect}/query-compiler`),
+      schemaCompiler: require(`../../../src/dialects/${dialect}/schema-compiler`)
+    },
+    isTransaction: false,
+    queries,
+    async query(sql, bindings = [], options = {}) {
+      queries.push({ sql, bindings, options });
+      return respond(sql, bindings, options);
+    },
+    async transaction(callback) {
+      queries.push({ sql: 'BEGIN', bindings: [], options: {} });
+      const result = await callback({ ...client, isTransaction: true });
+      queries.push({ sql: 'COMMIT', bindings: [], options: {} });
+      return result;
+    }
+  };
+
+  return client;
+}
+
+/**
+ * @param {string} dialect
+ * @param {Object} config
+ * @returns {Function}
+ */
+function createBuilderFactory(dialect, config = {}) {
+  const client = createFakeClient(dialect, undefined, config);
+  return tableName => new QueryBuilder(client, tableName);
+}
+
+module.exports = {
+  createFakeClient,
+  createBuilderFactory
+};
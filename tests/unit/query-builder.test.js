@@ -0,0 +1,237 @@
+const QueryBuilder = require('../../src/query-builder');
+const { createFakeClient } = require('./helpers/fake-client');
+
+/**
+ * @param {Object} client
+ * @returns {Function}
+ */
+function builder(client) {
+  return tableName => new QueryBuilder(client, tableName);
+}
+
+describe('QueryBuilder', () => {
+  describe('clone', () => {
+    test('returns an independent copy', () => {
+      const db = builder(createFakeClient('pg'));
+      const base = db('users').where('active', true);
+      const copy = base.clone().where('role', 'admin').orderBy('id');
+
+      expect(base.toSQL().sql).toBe('SELECT * FROM "users" WHERE "active" = $1');
+      expect(copy.toSQL().sql).toBe('SELECT * FROM "users" WHERE "active" = $1 AND "role" = $2 ORDER BY "id" ASC');
+    });
+
+    test('copies nested where groups and pending writes', () => {
+      const db = builder(createFakeClient('pg'));
+      const base = db('users').where(q => q.where('a', 1).orWhere('b', 2)).update({ name: 'A' });
+      const copy = base.clone();
+
+      copy.statements.where[0].clauses.push({ type: 'raw', sql: '1 = 1', bindings: [], boolean: 'AND' });
+      copy._data.name = 'B';
+
+      expect(base.toSQL()).toMatchObject({
+        sql: 'UPDATE "users" SET "name" = $1 WHERE ("a" = $2 OR "b" = $3)',
+        bindings: ['A', 1, 2]
+      });
+    });
+
+    test('leaves the builder untouched when reading from it', async () => {
+      const client = createFakeClient('pg', () => [{ count: '3' }]);
+      const base = builder(client)('users').where('active', true).orderBy('id');
+
+      await base.first();
+      await base.count();
+
+      expect(base.toSQL().sql).toBe('SELECT * FROM "users" WHERE "active" = $1 ORDER BY "id" ASC');
+    });
+  });
+
+  describe('aggregates', () => {
+    test('drop ordering, paging, locks and plain columns', async () => {
+      const client = createFakeClient('pg', () => [{ count: '3' }]);
+      const total = await builder(client)('users')
+        .select('name')
+        .where('active', true)
+        .orderBy('name')
+        .limit(5)
+        .offset(10)
+        .forUpdate()
+        .count();
+
+      expect(total).toBe(3);
+      expect(client.queries[0]).toMatchObject({
+        sql: 'SELECT COUNT(*) AS "count" FROM "users" WHERE "active" = $1',
+        bindings: [true]
+      });
+    });
+
+    test('keep the selected columns of grouped queries', async () => {
+      const client = createFakeClient('pg', () => [{ status: 'paid', total: '2' }]);
+      const rows = await builder(client)('orders').select('status').groupBy('status').orderBy('status').count('id as total');
+
+      expect(rows).toEqual([{ status: 'paid', total: 2 }]);
+      expect(client.queries[0].sql).toBe('SELECT "status", COUNT("id") AS "total" FROM "orders" GROUP BY "status"');
+    });
+  });
+
+  describe('paginate', () => {
+    test('counts without paging and fetches the requested page', async () => {
+      const client = createFakeClient('pg', sql => {
+        return sql.startsWith('SELECT COUNT') ? [{ total: '23' }] : [{ id: 11 }, { id: 12 }];
+      });
+      const page = await builder(client)('users').where('active', true).orderBy('id').paginate({ page: 2, perPage: 10 });
+
+      expect(page).toEqual({ data: [{ id: 11 }, { id: 12 }], total: 23, perPage: 10, currentPage: 2, lastPage: 3 });
+      expect(client.queries.map(query => query.sql)).toEqual([
+        'SELECT COUNT(*) AS "total" FROM "users" WHERE "active" = $1',
+        'SELECT * FROM "users" WHERE "active" = $1 ORDER BY "id" ASC LIMIT $2 OFFSET $3'
+      ]);
+      expect(client.queries[1].bindings).toEqual([true, 10, 10]);
+    });
+
+    test('counts grouped queries through a subquery', async () => {
+      const client = createFakeClient('mysql', () => [{ total: 4 }]);
+      await builder(client)('orders').select('user_id').groupBy('user_id').paginate({ perPage: 2 });
+
+      expect(client.queries[0].sql)
+        .toBe('SELECT COUNT(*) AS `total` FROM (SELECT `user_id` FROM `orders` GROUP BY `user_id`) AS `paginate_count`');
+    });
+
+    test('rejects invalid page numbers', async () => {
+      const db = builder(createFakeClient('pg'));
+
+      await expect(db('users').paginate({ page: 1.5 }))
+        .rejects.toThrow('paginate() attend des entiers positifs pour page et perPage');
+    });
+  });
+
+  describe('cursorPaginate', () => {
+    test('returns a cursor for the next page and seeks from it', async () => {
+      const client = createFakeClient('pg', () => [{ id: 1 }, { id: 2 }, { id: 3 }]);
+      const db = builder(client);
+      const first = await db('users').where('active', true).cursorPaginate({ perPage: 2, orderBy: 'id' });
+
+      expect(first.data).toEqual([{ id: 1 }, { id: 2 }]);
+      expect(first.prevCursor).toBeNull();
+      expect(first.nextCursor).not.toBeNull();
+
+      await db('users').where('active', true).cursorPaginate({ perPage: 2, orderBy: 'id', after: first.nextCursor });
+
+      expect(client.queries[0].sql).toBe('SELECT * FROM "users" WHERE "active" = $1 ORDER BY "id" ASC LIMIT $2');
+      expect(client.queries[1]).toMatchObject({
+        sql: 'SELECT * FROM "users" WHERE ("active" = $1) AND ("id" > $2) ORDER BY "id" ASC LIMIT $3',
+        bindings: [true, 2, 3]
+      });
+    });
+
+    test('walks backwards from a previous cursor', async () => {
+      const client = createFakeClient('sqlite', () => [{ id: 4 }, { id: 3 }]);
+      const db = builder(client);
+      const cursor = Buffer.from(JSON.stringify([5])).toString('base64');
+      const page = await db('users').cursorPaginate({ perPage: 2, orderBy: { column: 'id', direction: 'desc' }, before: cursor });
+
+      expect(page.data).toEqual([{ id: 3 }, { id: 4 }]);
+      expect(page.prevCursor).toBeNull();
+      expect(client.queries[0].sql).toBe('SELECT * FROM "users" WHERE ("id" > ?) ORDER BY "id" ASC LIMIT ?');
+    });
+
+    test('requires an order', async () => {
+      const db = builder(createFakeClient('pg'));
+
+      await expect(db('users').cursorPaginate({ perPage: 2 }))
+        .rejects.toThrow('cursorPaginate() nécessite au moins une colonne dans orderBy');
+    });
+  });
+
+  describe('insert batches', () => {
+    const rows = Array.from({ length: 3000 }, (value, index) => ({ id: index, name: `user ${index}`, email: null }));
+
+    test.each([
+      ['pg', 1],
+      ['mysql', 1],
+      ['sqlite', 10],
+      ['mssql', 5]
+    ])('splits large inserts for %s into %i statement(s)', async (dialect, expected) => {
+      const client = createFakeClient(dialect, () => ({ rowCount: 1 }));
+      const { maxParameters } = client.dialectModule.queryCompiler;
+      const count = await builder(client)('users').insert(rows);
+      const inserts = client.queries.filter(query => query.sql.includes('INSERT'));
+
+      expect(inserts).toHaveLength(expected);
+      expect(count).toBe(expected);
+      inserts.forEach(query => expect(query.bindings.length).toBeLessThanOrEqual(maxParameters));
+    });
+
+    test('wraps several batches in a transaction', async () => {
+      const client = createFakeClient('sqlite', () => ({ rowCount: 1 }));
+      await builder(client)('users').insert(rows);
+
+      expect(client.queries[0].sql).toBe('BEGIN');
+      expect(client.queries[client.queries.length - 1].sql).toBe('COMMIT');
+    });
+
+    test('counts fixed parameters against the limit', async () => {
+      const client = createFakeClient('sqlite', () => ({ rowCount: 1 }));
+      const db = builder(client);
+      await db('users').with('seed', db('defaults').where('id', 1)).insert(rows.slice(0, 333));
+
+      const inserts = client.queries.filter(query => query.sql.includes('INSERT'));
+      expect(inserts).toHaveLength(2);
+      expect(inserts[0].bindings).toHaveLength(1 + 332 * 3);
+    });
+  });
+
+  describe('mysql returning emulation', () => {
+    test('reads inserted rows back by primary key', async () => {
+      const client = createFakeClient('mysql', sql => {
+        return sql.startsWith('INSERT') ? { insertId: 10, rowCount: 2 } : [{ id: 10, name: 'A' }, { id: 11, name: 'B' }];
+      });
+      const rows = await builder(client)('users').insert([{ name: 'A' }, { name: 'B' }]).returning(['id', 'name']);
+
+      expect(rows).toEqual([{ id: 10, name: 'A' }, { id: 11, name: 'B' }]);
+      expect(client.queries.map(query => query.sql)).toEqual([
+        'INSERT INTO `users` (`name`) VALUES (?), (?)',
+        'SELECT `id`, `name` FROM `users` WHERE `id` IN (?, ?)'
+      ]);
+      expect(client.queries[1].bindings).toEqual([10, 11]);
+    });
+
+    test('returns the primary key without a second query', async () => {
+      const client = createFakeClient('mysql', () => ({ insertId: 7, rowCount: 1 }));
+      const rows = await builder(client)('users').insert({ name: 'A' }).returning('id');
+
+      expect(rows).toEqual([{ id: 7 }]);
+      expect(client.queries).toHaveLength(1);
+    });
+
+    test('selects matching rows before an update', async () => {
+      const client = createFakeClient('mysql', sql => {
+        return sql.startsWith('SELECT') ? [{ id: 3 }, { id: 4 }] : { rowCount: 2 };
+      });
+      const rows = await builder(client)('users').where('active', false).update({ name: 'X' }).returning('id');
+
+      expect(rows).toEqual([{ id: 3 }, { id: 4 }]);
+      expect(client.queries.map(query => query.sql)).toEqual([
+        'SELECT `users`.`id` FROM `users` WHERE `active` = ?',
+        'UPDATE `users` SET `name` = ? WHERE `active` = ?'
+      ]);
+    });
+
+    test('selects the deleted rows before a delete', async () => {
+      const client = createFakeClient('mysql', sql => {
+        return sql.startsWith('SELECT') ? [{ id: 3, name: 'A' }] : { rowCount: 1 };
+      });
+      const rows = await builder(client)('users').where('id', 3).delete().returning(['id', 'name']);
+
+      expect(rows).toEqual([{ id: 3, name: 'A' }]);
+      expect(client.queries[0].sql).toBe('SELECT `users`.`id`, `users`.`name` FROM `users` WHERE `id` = ?');
+      expect(client.queries[1].sql).toBe('DELETE FROM `users` WHERE `id` = ?');
+    });
+
+    test('refuses to emulate returning on upserts', async () => {
+      const client = createFakeClient('mysql', () => ({ insertId: 1, rowCount: 1 }));
+      const query = builder(client)('users').insert({ email: 'a' }).onConflict('email').merge().returning('id');
+
+      await expect(query).rejects.toThrow('returning() ne peut pas être émulé sur un upsert MySQL');
+    });
+  });
+});